@@ -0,0 +1,169 @@
+import React, { Component } from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import { getPositions, animateFrom, animateStyles } from './flip';
+
+const presets = {
+  none: null,
+  fade: { from: { opacity: 0 }, to: { opacity: 1 } },
+  elevator: { from: { transform: 'scale(0)', opacity: 0 }, to: { transform: '', opacity: 1 } }
+};
+
+const getAnimation = animation => typeof animation === 'string' ? presets[animation] : animation;
+
+const forwardRefType = React.forwardRef(() => null).$$typeof;
+
+// items whose ref is their DOM node: DOM elements, and components that forward their ref to one
+const takesNodeRef = element => (typeof element.type === 'string' || element.type.$$typeof === forwardRefType) &&
+    typeof element.ref !== 'string';
+
+/*
+    Other components either can't take refs or give their instance, so each of those items gets an instance of
+    this to find its DOM node from, with findDOMNode (which StrictMode warns about). It renders nothing of its own.
+*/
+class Item extends Component {
+  render() {
+    return this.props.children;
+  }
+}
+
+/*
+    Renders the items of a list without a wrapper element and animates them when the list changes: items
+    slide to their new places, and are animated in when added and out when removed (removed items are
+    rendered until they're gone). Nothing is animated while `disabled`, e.g. while an item is dragged
+    and the engine moves them.
+*/
+export default class FlipList extends Component {
+
+  static propTypes = {
+    children: PropTypes.array,
+    duration: PropTypes.number,
+    easing: PropTypes.string,
+    appearAnimation: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    enterAnimation: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    leaveAnimation: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    disabled: PropTypes.bool
+  }
+
+  static defaultProps = {
+    duration: 350,
+    easing: 'ease-in-out',
+    enterAnimation: 'elevator',
+    leaveAnimation: 'elevator'
+  }
+
+  state = {
+    items: []
+  }
+
+  static getDerivedStateFromProps({ children, leaveAnimation, disabled }, { items }) {
+    const next = children.map(element => ({ key: element.key, element }));
+    if (disabled || !getAnimation(leaveAnimation)) return { items: next };
+
+    // removed items stay where they were until they've animated out
+    const keys = next.map(item => item.key);
+    items.forEach((item, index) => {
+        if (keys.indexOf(item.key) < 0) next.splice(Math.min(index, next.length), 0, { ...item, leaving: true });
+    });
+    return { items: next };
+  }
+
+  // key of the item rendered as `node`, if it's one of them
+  getKey(node) {
+    return Object.keys(this.nodes).find(key => this.nodes[key] === node) ||
+        Object.keys(this.instances).find(key => this.getNode(key) === node);
+  }
+
+  getNode(key) {
+    if (this.nodes[key]) return this.nodes[key];
+    const instance = this.instances[key];
+    return instance ? ReactDOM.findDOMNode(instance) : null;
+  }
+
+  instances = {};
+  setInstance = key => instance => {
+    if (instance) this.instances[key] = instance;
+    else delete this.instances[key];
+  }
+
+  // one callback ref per item, passing the node on to the item's own ref, so that it isn't detached and attached
+  // again whenever the list renders
+  nodes = {};
+  nodeRefs = {};
+  getNodeRef(key, ownRef) {
+    const cached = this.nodeRefs[key];
+    if (cached && cached.ownRef === ownRef) return cached.ref;
+
+    const ref = node => {
+      if (node) this.nodes[key] = node;
+      else delete this.nodes[key];
+      if (!node && this.nodeRefs[key] && this.nodeRefs[key].ref === ref) delete this.nodeRefs[key];
+      if (typeof ownRef === 'function') ownRef(node);
+      else if (ownRef) ownRef.current = node;
+    };
+    this.nodeRefs[key] = { ownRef, ref };
+    return ref;
+  }
+
+  componentDidMount() {
+    const appear = getAnimation(this.props.appearAnimation);
+    if (!appear || this.props.disabled) return;
+    this.state.items.forEach(item => {
+        const node = this.getNode(item.key);
+        if (node) animateStyles(node, appear.from, appear.to, this.props);
+    });
+  }
+
+  // the list is only animated when items are added, removed or moved around, not whenever it renders
+  getSnapshotBeforeUpdate(prevProps, prevState) {
+    if (this.props.disabled) return null;
+    const keys = items => items.map(item => item.key + (item.leaving ? '-' : '')).join();
+    if (keys(prevState.items) === keys(this.state.items)) return null;
+    const nodes = this.state.items.map(item => this.getNode(item.key)).filter(Boolean);
+    return getPositions(nodes);
+  }
+
+  componentDidUpdate(prevProps, prevState, positions) {
+    if (!positions) return;
+    const { enterAnimation, leaveAnimation } = this.props;
+    const previous = prevState.items.map(item => item.key);
+
+    const moved = new Map();
+    this.state.items.forEach(item => {
+        const node = this.getNode(item.key);
+        if (!node) return;
+
+        if (item.leaving) {
+            if (this.leaving[item.key]) return;
+            this.leaving[item.key] = true;
+            const leave = getAnimation(leaveAnimation);
+            animateStyles(node, leave.to, leave.from, this.props, () => this.removeItem(item.key));
+        } else if (previous.indexOf(item.key) < 0) {
+            const enter = getAnimation(enterAnimation);
+            if (enter) animateStyles(node, enter.from, enter.to, this.props);
+        } else if (this.leaving[item.key]) {
+            // added back while it was animating out
+            delete this.leaving[item.key];
+            const enter = getAnimation(enterAnimation) || getAnimation(leaveAnimation);
+            animateStyles(node, {}, enter.to, this.props);
+        } else if (positions.has(node)) {
+            moved.set(node, positions.get(node));
+        }
+    });
+    animateFrom(moved, this.props);
+  }
+
+  leaving = {};
+  removeItem(key) {
+    delete this.leaving[key];
+    if (!this.nodes[key] && !this.instances[key]) return;
+    this.setState(({ items }) => ({ items: items.filter(item => item.key !== key || !item.leaving) }));
+  }
+
+  render() {
+    return this.state.items.map(({ key, element }) => takesNodeRef(element) ?
+        React.cloneElement(element, { key, ref: this.getNodeRef(key, element.ref) }) :
+        <Item key={key} ref={this.setInstance(key)}>{element}</Item>
+    );
+  }
+}
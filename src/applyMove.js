@@ -0,0 +1,32 @@
+// the key an item was most likely rendered with: its id or key, or the item itself in a list of strings or numbers
+const defaultKey = item => item !== null && typeof item === 'object' ? (item.id !== undefined ? item.id : item.key) : item;
+
+/*
+    Returns a copy of `items` with a move reported by SlipMove's onMoveEnd applied to it. The moved items are
+    found by their keys, `getKey(item)`, and placed next to their new neighbours, so the move lands where it was
+    dropped even if the items have changed meanwhile. Moves without keys (from useSlipMove), or whose items can't
+    be found, are applied by their indices instead.
+*/
+export default function applyMove(items, move, getKey = defaultKey) {
+  const { movedKeys, previousKey, nextKey, newIndex } = move;
+  const keyOf = item => String(getKey(item));
+  const moved = movedKeys ? movedKeys.map(key => items.find(item => keyOf(item) === key)) : [];
+
+  if (!movedKeys || moved.indexOf(undefined) >= 0) {
+      const oldIndices = move.oldIndices || [move.oldIndex];
+      const rest = items.filter((item, index) => oldIndices.indexOf(index) < 0);
+      rest.splice(newIndex, 0, ...oldIndices.map(index => items[index]));
+      return rest;
+  }
+
+  const rest = items.filter(item => movedKeys.indexOf(keyOf(item)) < 0);
+  const keys = rest.map(keyOf);
+  let index = nextKey === null ? rest.length : keys.indexOf(nextKey);
+  if (index < 0) {
+      // the item it was dropped in front of is gone, go by the one behind it
+      const previous = keys.indexOf(previousKey);
+      index = previous >= 0 ? previous + 1 : Math.min(newIndex, rest.length);
+  }
+  rest.splice(index, 0, ...moved);
+  return rest;
+}
@@ -0,0 +1,79 @@
+/*
+    FLIP animations, shared by the reorder engine (elements dropped while dragged) and SlipMove (the list
+    changing): note where elements are shown (First), let their layout change (Last), move them back with a
+    transform (Invert) and transition the transform away (Play).
+
+    Elements are measured with getBoundingClientRect, so where they're shown includes any transform they have
+    at the time, e.g. the element being dragged or one still moving from a previous animation.
+*/
+
+// pending cleanup of elements still animating, so that a new animation isn't cut short by an old one
+const timers = new WeakMap();
+
+function finishLater(node, duration, done) {
+    clearTimeout(timers.get(node));
+    timers.set(node, setTimeout(function(){
+        timers.delete(node);
+        done();
+    }, duration));
+}
+
+export function getPositions(nodes) {
+    const positions = new Map();
+    nodes.forEach(function(node){
+        const rect = node.getBoundingClientRect();
+        // hidden elements (display: none) have nowhere to move from
+        if (rect.width || rect.height) positions.set(node, rect);
+    });
+    return positions;
+}
+
+/*
+    Slides elements from `positions` (see getPositions) to where they are now. Their inline transform at this
+    point is where they end up, so reset any transform used while they were moved around before calling this.
+*/
+export function animateFrom(positions, { duration, easing }) {
+    const moved = [];
+    positions.forEach(function(from, node){
+        const transform = node.style.transform;
+        node.style.transition = '';
+        node.style.transform = transform;
+        const to = node.getBoundingClientRect();
+        // and nowhere to move to, e.g. one dragged out of the list and removed
+        if (!to.width && !to.height) return;
+        const dx = from.left - to.left;
+        const dy = from.top - to.top;
+        if (!dx && !dy) return;
+        node.style.transform = 'translate(' + dx + 'px,' + dy + 'px) ' + transform;
+        moved.push({ node: node, transform: transform });
+    });
+    if (!moved.length) return;
+
+    // apply the inverted positions before transitioning away from them
+    moved[0].node.getBoundingClientRect();
+    moved.forEach(function(m){
+        m.node.style.transition = 'transform ' + duration + 'ms ' + easing;
+        m.node.style.transform = m.transform;
+        finishLater(m.node, duration, function(){
+            m.node.style.transition = '';
+        });
+    });
+}
+
+/*
+    Transitions an element between two sets of styles, e.g. fading in an element that has just been added.
+    The styles are left in place, call `done` to clean up after the element (e.g. remove it).
+*/
+export function animateStyles(node, from, to, { duration, easing }, done) {
+    const properties = Object.keys(Object.assign({}, from, to));
+    node.style.transition = '';
+    Object.assign(node.style, from);
+    node.getBoundingClientRect();
+
+    node.style.transition = properties.map(p => p.replace(/[A-Z]/g, c => '-' + c.toLowerCase()) + ' ' + duration + 'ms ' + easing).join(', ');
+    Object.assign(node.style, to);
+    finishLater(node, duration, function(){
+        node.style.transition = '';
+        if (done) done();
+    });
+}
@@ -1,73 +1,451 @@
-import React, { Component } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import ReactDOM from 'react-dom';
 import PropTypes from 'prop-types';
 import Slip from './slip';
-import FlipMove from 'react-flip-move';
-import './slip.css';
-
-export default class extends Component {
-
-  static propTypes = {
-    children: PropTypes.array,
-    onMove: PropTypes.func,
-    onMoveStart: PropTypes.func,
-    disableMove: PropTypes.bool,
-    flipMoveProps: PropTypes.object,
-    elevateItem: PropTypes.bool,
-    style: PropTypes.object
-  };
+import useSlipMove from './useSlipMove';
+import FlipList from './FlipList';
+import applyMove from './applyMove';
 
-  static defaultProps = {
-    elevateItem: true
-  }
+const defaultAnnouncements = {
+  pickUp: ({index, count}) => `Picked up item ${index + 1} of ${count}. Use the arrow keys to move it, space to drop it or escape to cancel.`,
+  move: ({index, count}) => `Moved to position ${index + 1} of ${count}.`,
+  drop: ({oldIndex, newIndex, count}) => `Dropped. Moved from position ${oldIndex + 1} to position ${newIndex + 1} of ${count}.`,
+  cancel: ({index, count}) => `Reordering cancelled. Item returned to position ${index + 1} of ${count}.`
+};
+
+// Visible to screen readers only
+const liveRegionStyle = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+// Drawn over the page, moved around by positionPreview rather than by rendering
+const previewStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  zIndex: 99999,
+  pointerEvents: 'none'
+};
 
-  state = {
-    reordering: false
+// Drag handle: items containing one can only be picked up by it
+const Handle = ({ component: Tag = 'span', className, ...props }) => (
+  <Tag className={className ? `slip-handle ${className}` : 'slip-handle'} {...props} />
+);
+
+Handle.propTypes = {
+  component: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  className: PropTypes.string
+};
+
+// index of the item at `offset`, given the offsets of all items (and of the end of the last one)
+const findOffset = (offsets, offset) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (offsets[middle] <= offset) low = middle;
+    else high = middle - 1;
   }
-  
-  handleBeforeReorder = e => {
-    if (this.props.disableMove) {
-        e.preventDefault();
-        return;
+  return Math.max(0, low);
+};
+
+// the keys the items were given, by the keys React.Children.toArray (which the items are rendered from) gives them
+const getOriginalKeys = children => {
+  const elements = React.Children.toArray(children);
+  const keys = {};
+  let index = 0;
+  React.Children.forEach(children, child => {
+      if (React.isValidElement(child)) keys[elements[index++].key] = child.key;
+  });
+  return keys;
+};
+
+/*
+    The hook, with the items rendered through FlipList and what goes with them: optimistic display of moves
+    waiting for a promise, windowing of long lists, the drag preview and screen reader announcements.
+    The ref gets the hook's imperative API (moveItem, cancelDrag, isDragging, getDragState).
+*/
+const SlipMove = React.forwardRef((props, ref) => {
+  const {
+      children, onMoveStart, onMoveEnd, disableMove, animationProps, flipMoveProps, itemHeight, overscan, announcements,
+      renderDragPreview, renderPlaceholder, renderRemoveZone, onDragOut, gestureOptions, table, style = {}
+  } = props;
+
+  const containerRef = useRef(null);
+  const [pending, setPending] = useState(null);
+  const [scroll, setScroll] = useState({scrollTop: 0, viewportHeight: 0});
+  const [previewing, setPreviewing] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const [mounted, setMounted] = useState(false);
+
+  const announce = (type, args) => {
+    const message = { ...defaultAnnouncements, ...announcements }[type];
+    setAnnouncement(message({ ...args, count: React.Children.count(children) }));
+  };
+
+  /*
+      Keeps the items shown where they were dropped until the promise returned by onMoveEnd settles.
+      The children passed in decide the final order: if they don't have the items moved by then
+      (rejected, resolved to false, or rolled back by the parent) they animate back.
+  */
+  const waitForMove = (promise, nodes, oldIndices, newIndex) => {
+    const items = React.Children.toArray(children);
+    const moving = { keys: oldIndices.map(index => items[index].key), newIndex };
+    setPending(moving);
+    nodes.forEach(node => node.classList.add('slipmove-saving'));
+    const settle = () => {
+        nodes.forEach(node => node.classList.remove('slipmove-saving'));
+        if (containerRef.current) setPending(current => current === moving ? null : current);
+    };
+    promise.then(settle, settle);
+  };
+
+  /*
+      A move by the keys of the items rather than their indices, which holds even if the list has changed since
+      the item was picked up: the DOM has the items as they're rendered now, as nothing is animated during a drag.
+      The items moved are placed before the one they were dropped in front of.
+  */
+  const flipListRef = useRef(null);
+  const getKeyedMove = (target, nodes, insertBefore, newIndex) => {
+    const keys = getOriginalKeys(children);
+    const keyOf = node => keys[flipListRef.current.getKey(node)];
+    const movedKeys = nodes.map(keyOf);
+    const order = React.Children.toArray(children).map(item => keys[item.key]).filter(key => movedKeys.indexOf(key) < 0);
+    let index = insertBefore ? order.indexOf(keyOf(insertBefore)) : -1;
+    // a long list only has the items in view in the DOM, past them the index tells where it goes
+    if (index < 0) index = insertBefore || itemHeight ? Math.min(newIndex, order.length) : order.length;
+    order.splice(index, 0, ...movedKeys);
+    return {
+        key: keyOf(target),
+        movedKeys,
+        previousKey: index > 0 ? order[index - 1] : null,
+        nextKey: index + movedKeys.length < order.length ? order[index + movedKeys.length] : null,
+        order
+    };
+  };
+
+  const focusAfterUpdate = useRef(null);
+  const handleMoveStart = ({index}, e) => {
+    if (e.detail.keyboard) announce('pickUp', {index});
+    onMoveStart && onMoveStart({index});
+  };
+
+  const handleMoveEnd = (move, e) => {
+    const { oldIndex, oldIndices, newIndex } = move;
+    if (e.detail.keyboard) {
+        // keep focus on the dropped item while the list re-renders around it
+        focusAfterUpdate.current = e.target;
+        announce('drop', {oldIndex, newIndex});
     }
-    this.setState({reordering: true});
-    this.props.onMoveStart && this.props.onMoveStart();
-  }
+    const nodes = oldIndices ? oldIndices.map(index => containerRef.current.children[index]) : [e.target];
+    const result = onMoveEnd && onMoveEnd({ ...move, ...getKeyedMove(e.target, nodes, e.detail.insertBefore, newIndex) });
+    if (result && typeof result.then === 'function') {
+        waitForMove(result, nodes, oldIndices || [oldIndex], newIndex);
+    }
+    return result;
+  };
 
-  handleReorder = e => {
-    const { originalIndex: oldIndex, spliceIndex: newIndex } = e.detail;
-    this.props.onMoveEnd && this.props.onMoveEnd({oldIndex, newIndex});
-    this.setState({reordering:false});
-  }
+  const getItemHeight = index => typeof itemHeight === 'function' ? itemHeight(index) : itemHeight;
 
-  container = null;
-  init = node => {
-    this.container = node;
-    new Slip(this.container, { raised: this.props.elevateItem, draggingClassName: 'slipmove-dragging' });
-    this.container.addEventListener('slip:beforereorder', this.handleBeforeReorder);
-    this.container.addEventListener('slip:reorder', this.handleReorder);    
-  }
+  const handleScroll = () => {
+    const container = containerRef.current;
+    setScroll({scrollTop: container.scrollTop, viewportHeight: container.clientHeight});
+  };
 
-  componentWillUnmount() {
-    this.container.removeEventListener('slip:beforereorder', this.handleBeforeReorder);
-    this.container.removeEventListener('slip:reorder', this.handleReorder);    
-  }
+  const layout = useRef(null);
+  const removeZoneRef = useRef(null);
+  const { isDragging, draggingIndex, isDraggedOut } = useSlipMove(containerRef, {
+      ...props,
+      apiRef: ref,
+      disableMove: disableMove || !!pending,
+      onMoveStart: handleMoveStart,
+      onMoveEnd: handleMoveEnd,
+      removeZone: () => removeZoneRef.current,
+      virtual: itemHeight ? {
+          first: () => layout.current.start,
+          count: () => layout.current.offsets.length - 1,
+          position: index => layout.current.offsets[index],
+          size: index => layout.current.offsets[index + 1] - layout.current.offsets[index]
+      } : null,
+      ghost: !!renderDragPreview
+  });
+
+  /*
+      With renderDragPreview the dragged item stays hidden in the slot it would be dropped into. The preview
+      follows the pointer and the placeholder, if any, is drawn over that slot.
+  */
+  const dragMove = useRef(null);
+  const previewRef = useRef(null);
+  const placeholderRef = useRef(null);
+  const positionPreview = () => {
+    const detail = dragMove.current;
+    if (!detail) return;
+
+    const preview = previewRef.current;
+    if (preview) {
+        preview.style.width = `${detail.width}px`;
+        preview.style.transform = `translate(${detail.x}px,${detail.y}px)`;
+    }
+    const placeholder = placeholderRef.current;
+    if (placeholder) {
+        // slide along with the other items, but not in from wherever it was first drawn
+        const { transitionDuration, transitionEasing } = { ...Slip.defaults, ...gestureOptions };
+        placeholder.style.transition = placeholder.style.transform ? `transform ${transitionDuration}ms ${transitionEasing}` : '';
+        placeholder.style.width = `${detail.slot.width}px`;
+        placeholder.style.height = `${detail.slot.height}px`;
+        placeholder.style.transform = `translate(${detail.slot.x}px,${detail.slot.y}px)`;
+    }
+  };
 
-  render() {
-    const { children, flipMoveProps, style = {} } = this.props;
-    /*
-        'Wrapperless' FlipMove is used here to pass container props down but it requires a
-        non static position => override if static or not defined (css defaults to static). 
-        (FlipMove overrides it anyway but shows a console warning.)
-    */
-    if ((style.position || 'static') === 'static') style.position = 'relative'; 
-    
-    return (
-        <div id="container" ref={this.init} style={{...style}}>
-            <FlipMove typeName={null} { ...flipMoveProps } disableAllAnimations={this.state.reordering} >
-                {children}
-            </FlipMove>
+  useEffect(() => {
+    if (isDragging) return;
+    dragMove.current = null;
+    setPreviewing(false);
+  }, [isDragging]);
+
+  // engine events the hook doesn't report, listened to through a ref so they always see the latest props
+  const listeners = useRef(null);
+  listeners.current = {
+      keyboardmove: e => {
+          if (e.detail.keyboard) announce('move', {index: e.detail.spliceIndex});
+      },
+      cancel: e => {
+          if (e.detail.keyboard) announce('cancel', {index: e.detail.originalIndex});
+      },
+      dragmove: e => {
+          dragMove.current = e.detail;
+          setPreviewing(true);
+          positionPreview();
+      }
+  };
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const handlers = {};
+    Object.keys(listeners.current).forEach(name => {
+        handlers[name] = e => listeners.current[name](e);
+        container.addEventListener(`slip:${name}`, handlers[name]);
+    });
+    if (itemHeight) handleScroll();
+    if (table) setMounted(true);
+    return () => Object.keys(handlers).forEach(name => container.removeEventListener(`slip:${name}`, handlers[name]));
+  }, []);
+
+  useEffect(() => {
+    const node = focusAfterUpdate.current;
+    focusAfterUpdate.current = null;
+    if (node && node.parentNode === containerRef.current && document.activeElement !== node) node.focus();
+  });
+
+  const renderChildren = () => {
+    const items = React.Children.toArray(children);
+    if (!pending) return items;
+
+    const moved = items.filter(item => pending.keys.indexOf(item.key) >= 0);
+    const others = items.filter(item => pending.keys.indexOf(item.key) < 0);
+    others.splice(pending.newIndex, 0, ...moved);
+    return others;
+  };
+
+  /*
+      Virtualized mode (itemHeight): only the items in view, plus `overscan` on either side, are rendered,
+      with padding standing in for the rest. The item being dragged stays rendered wherever it's scrolled to.
+  */
+  const renderWindow = items => {
+    const { scrollTop, viewportHeight } = scroll;
+
+    const offsets = [0];
+    items.forEach((item, index) => offsets.push(offsets[index] + getItemHeight(index)));
+
+    let start = findOffset(offsets, scrollTop);
+    let end = findOffset(offsets, scrollTop + viewportHeight) + 1;
+    start = Math.max(0, start - overscan);
+    end = Math.min(items.length, end + overscan);
+    layout.current = { offsets, start };
+
+    const visible = items.slice(start, end);
+    let paddingTop = offsets[start];
+    let paddingBottom = offsets[items.length] - offsets[end];
+    if (draggingIndex !== null && draggingIndex < start) {
+        visible.unshift(items[draggingIndex]);
+        paddingTop -= getItemHeight(draggingIndex);
+    } else if (draggingIndex !== null && draggingIndex >= end) {
+        visible.push(items[draggingIndex]);
+        paddingBottom -= getItemHeight(draggingIndex);
+    }
+    return { visible, paddingTop, paddingBottom };
+  };
+
+  const renderPreview = () => {
+    if (!isDragging || !previewing || !renderDragPreview) return null;
+
+    const item = React.Children.toArray(children)[draggingIndex];
+    const setPreview = node => {
+        previewRef.current = node;
+        positionPreview();
+    };
+    const setPlaceholder = node => {
+        placeholderRef.current = node;
+        positionPreview();
+    };
+    return ReactDOM.createPortal(
+        <React.Fragment>
+            {renderPlaceholder &&
+                <div className="slipmove-placeholder" ref={setPlaceholder} style={previewStyle}>
+                    {renderPlaceholder(item, draggingIndex)}
+                </div>
+            }
+            <div className="slipmove-preview" ref={setPreview} style={previewStyle}>
+                {renderDragPreview(item, draggingIndex)}
+            </div>
+        </React.Fragment>,
+        document.body
+    );
+  };
+
+  // while an item is dragged, in a portal like the preview so that it can be placed anywhere on the page
+  const renderRemoveTarget = () => {
+    if (draggingIndex === null || !onDragOut || !renderRemoveZone) return null;
+    const className = 'slipmove-remove-zone' + (isDraggedOut ? ' slipmove-remove-zone-active' : '');
+    return ReactDOM.createPortal(
+        <div className={className} ref={removeZoneRef}>
+            {renderRemoveZone(isDraggedOut)}
+        </div>,
+        document.body
+    );
+  };
+
+  // a table has no room for it next to the tbody, so it goes to the end of the page (once there is one)
+  const renderLiveRegion = () => {
+    const region = (
+        <div aria-live="assertive" aria-atomic="true" style={liveRegionStyle}>
+            {announcement}
         </div>
     );
+    if (!table) return region;
+    return mounted ? ReactDOM.createPortal(region, document.body) : null;
+  };
+
+  /*
+      Items are measured from the container (their offsetTop etc.), so it needs a non static position
+      => override if static or not defined (css defaults to static).
+  */
+  if ((style.position || 'static') === 'static') style.position = 'relative'; 
+
+  let items = renderChildren();
+  let windowStyle = null;
+  let windowAnimationProps = null;
+  if (itemHeight) {
+      const { visible, paddingTop, paddingBottom } = renderWindow(items);
+      items = visible;
+      windowStyle = { overflowY: 'auto', paddingTop, paddingBottom };
+      // items scrolling in and out of the window aren't entering or leaving the list
+      windowAnimationProps = { enterAnimation: 'none', leaveAnimation: 'none' };
   }
-}
 
+  // the rows of a table, to go in a <table> with any <thead> around it
+  const Container = table ? 'tbody' : 'div';
+
+  return (
+      <React.Fragment>
+          <Container ref={containerRef} style={{...style, ...windowStyle}} onScroll={itemHeight ? handleScroll : undefined}>
+              <FlipList ref={flipListRef} { ...flipMoveProps } { ...animationProps } { ...windowAnimationProps } disabled={isDragging} >
+                  {items}
+              </FlipList>
+          </Container>
+          {renderPreview()}
+          {renderRemoveTarget()}
+          {renderLiveRegion()}
+      </React.Fragment>
+  );
+});
+
+SlipMove.displayName = 'SlipMove';
+SlipMove.Handle = Handle;
+
+SlipMove.propTypes = {
+  children: PropTypes.array,
+  onMoveStart: PropTypes.func,
+  onMove: PropTypes.func,
+  onMoveEnd: PropTypes.func,
+  onMoveCancel: PropTypes.func,
+  onTap: PropTypes.func,
+  disableMove: PropTypes.bool,
+  canDrag: PropTypes.func,
+  canDrop: PropTypes.func,
+  animationProps: PropTypes.shape({
+    duration: PropTypes.number,
+    easing: PropTypes.string,
+    appearAnimation: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    enterAnimation: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    leaveAnimation: PropTypes.oneOfType([PropTypes.string, PropTypes.object])
+  }),
+  // animationProps under the name they had when react-flip-move did the animations
+  flipMoveProps: PropTypes.object,
+  elevateItem: PropTypes.bool,
+  axis: PropTypes.oneOf(['y', 'x', 'grid']),
+  group: PropTypes.string,
+  // tells the lists of a group apart in onTransfer
+  listId: (props, propName, componentName) => {
+    if (props.group && props[propName] === undefined) {
+      return new Error('`' + propName + '` is required in `' + componentName + '` when `group` is set, to tell the lists apart in onTransfer.');
+    }
+  },
+  handleSelector: PropTypes.string,
+  multiSelect: PropTypes.bool,
+  collapseOnDrag: PropTypes.bool,
+  onSelectionChange: PropTypes.func,
+  onSwipe: PropTypes.func,
+  canSwipe: PropTypes.func,
+  swipeThreshold: PropTypes.number,
+  swipeVelocity: PropTypes.number,
+  onTransfer: PropTypes.func,
+  itemHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+  itemDepth: PropTypes.func,
+  indentWidth: PropTypes.number,
+  overscan: PropTypes.number,
+  renderDragPreview: PropTypes.func,
+  renderPlaceholder: PropTypes.func,
+  onDragOut: PropTypes.func,
+  renderRemoveZone: PropTypes.func,
+  onExternalDrop: PropTypes.func,
+  table: PropTypes.bool,
+  gestureOptions: PropTypes.shape({
+    holdDelay: PropTypes.number,
+    mouseHoldDelay: PropTypes.number,
+    holdToleranceAlong: PropTypes.number,
+    holdToleranceAcross: PropTypes.number,
+    scrollThreshold: PropTypes.number,
+    sidewaysRatio: PropTypes.number,
+    mouseOutsideDelay: PropTypes.number,
+    autoScrollEdge: PropTypes.number,
+    autoScrollSpeed: PropTypes.number,
+    autoScrollAcceleration: PropTypes.number,
+    transitionDuration: PropTypes.number,
+    transitionEasing: PropTypes.string
+  }),
+  announcements: PropTypes.shape({
+    pickUp: PropTypes.func,
+    move: PropTypes.func,
+    drop: PropTypes.func,
+    cancel: PropTypes.func
+  }),
+  style: PropTypes.object
+};
+
+SlipMove.defaultProps = {
+  elevateItem: true,
+  axis: 'y',
+  overscan: 5
+};
+
+export default SlipMove;
+export { useSlipMove, applyMove };
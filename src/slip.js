@@ -9,6 +9,10 @@
                 • spliceIndex: Index of element before which current element has been dropped, not counting the element iself.
                                For use with Array.splice() if the list is reflecting objects in some array.
                 • originalIndex: The original index of the element before it was reordered.
+                • originalIndices: When several selected elements (or in a tree, an element and its descendants) were dragged
+                               together, their original indices.
+                               They are moved as a block, spliceIndex then counts only the elements that weren't selected.
+            If you execute event.preventDefault() then the element slides back to its original position.
 
         • slip:beforereorder
             When reordering movement starts.
@@ -18,9 +22,134 @@
         • slip:beforewait
             If you execute event.preventDefault() then reordering will begin immediately, blocking ability to scroll the page.
 
+        • slip:beforeswipe
+            When swiping sideways starts. event.detail contains `originalIndex` and `direction` ('left' or 'right').
+            If you execute event.preventDefault() then the element won't move and the gesture is ignored.
+
+        • slip:swipe
+            When swipe has been done and the user has lifted the finger (or released the mouse button).
+            event.detail contains `originalIndex` and `direction`. If you execute event.preventDefault()
+            the element slides back into place.
+
+        • slip:afterswipe
+            When the swiped element has finished animating off the list. Remove it from the list now: the element is
+            left hidden. If you execute event.preventDefault() then it slides back in instead.
+
         • slip:tap
             When element was tapped without being swiped/reordered. You can check `event.target` to limit that behavior to drag handles.
-
+            event.detail contains the element's `originalIndex`.
+
+        • slip:transfer
+            Element has been dropped into another list of the same group. Fired on the element (and so on the list
+            it came from) and on the list it was dropped into. event.detail contains `fromList` and `toList` (the
+            `listId` options of both lists, or the lists themselves), `originalIndex` in the old list and `spliceIndex`
+            in the new one.
+
+        • slip:select
+            Selection of elements to drag together changed (multiSelect option). event.detail.indices contains the
+            indices of the selected elements, in list order. On touch screens a long-press selects, after
+            slip:beforereorder: it ends with slip:select instead of slip:cancel.
+
+        • slip:keyboardmove
+            Element picked up with the keyboard has been moved to another slot (not dropped yet). event.detail contains
+            `spliceIndex` and `originalIndex` as in slip:reorder.
+
+        • slip:move
+            Element being reordered with the pointer has been moved over another slot (not dropped yet). event.detail
+            contains `spliceIndex` and `originalIndex` as in slip:reorder, or, over another list of the group,
+            `transfer: true`, `toList` and `spliceIndex` in that list, and the pointer's `x` and `y` (client coordinates).
+
+        • slip:dragmove
+            Element being reordered with the ghost option has moved. event.detail contains `x`, `y`, `width` and `height`
+            of the element as if it followed the pointer, and `slot` with the position and size of the gap it would be
+            dropped into, all in viewport (client) coordinates.
+
+        • slip:remove
+            Element has been dropped away from the list, or over the remove zone (dragOut option). event.detail contains
+            `originalIndex`, and `originalIndices` if others were dragged with it. Remove them from the list now: they're
+            hidden until the drop has settled, and shown again if they're still there. If you execute
+            event.preventDefault() then the element slides back instead.
+
+        • slip:externalmove, slip:externalleave, slip:externaldrop
+            Fired on the list while something is dragged over it from elsewhere (externalDrop option): the gap opened for
+            it moved to `spliceIndex` in event.detail, it was dragged away again, or it was dropped. slip:externaldrop
+            has the drag's `dataTransfer`, `spliceIndex` and `insertBefore` as in slip:reorder.
+
+        • slip:cancel
+            Reordering was abandoned (Escape, mouse left the window, or with the keyboard, focus left the element).
+            The element stays where it was. event.detail contains `originalIndex`, and `keyboard: true` for keyboard reordering.
+
+    Keyboard:
+        Focus a list element (it needs to be focusable, e.g. tabindex="0") and press Space or Enter to pick it up.
+        Arrow keys, Home and End move it, Space or Enter drops it and Escape cancels. slip:beforereorder and
+        slip:reorder are fired as for pointer reordering, with `keyboard: true` in event.detail.
+
+    Moving programmatically:
+        slip.move(originalIndex, spliceIndex) (indices as in slip:reorder) moves an element the way the keyboard does:
+        it's lifted, slides to its new place while the others make way, and is dropped there. slip:beforereorder,
+        slip:keyboardmove and slip:reorder are fired with `programmatic: true` in event.detail rather than `keyboard`.
+        It returns false, and nothing moves, while a gesture is under way, if the element isn't in the DOM (windowed
+        lists), if slip:beforereorder is prevented or if canDrop refuses spliceIndex. slip.cancel() abandons any gesture.
+
+
+    Options:
+
+        • axis: 'y' (default) for vertical lists, 'x' for horizontal ones, or 'grid' for wrapping layouts
+                where elements shift between rows and the drop position is the slot nearest to the dragged element.
+        • group: lists with the same group name exchange elements. Hovering another list of the group opens a gap in it
+                 and dropping there fires slip:transfer instead of slip:reorder.
+        • listId: identifies the list in slip:transfer, the list element itself if not given.
+        • swipeThreshold: fraction of the list's width an element has to be swiped to be swiped away, 0.5 by default.
+        • minimumSwipeVelocity: speed (px/ms) of a sideways fling that swipes an element away regardless of distance, 1 by default.
+        • minimumSwipeTime: a fling must last at least this long (ms), so accidental flicks don't count. 110 by default.
+        • multiSelect: select several elements with ctrl/cmd-click (toggle) and shift-click (range), or on touch screens
+                       by long-pressing one and then tapping others. Dragging any selected element drags all of them,
+                       stacked. A plain click or Escape clears the selection.
+        • virtual: for windowed lists that only have some of their elements in the DOM. An object with
+                   `first()` (index of the first element in the DOM, not counting the reordered one, which has to
+                   stay in the DOM wherever it's scrolled to), `count()` (number of elements in the whole list),
+                   `position(index)` (offset of an element from the top of the list) and `size(index)` (its height). Indices in events are then indices in the whole list,
+                   and reordering works by these numbers rather than by measuring elements. Vertical lists only,
+                   without multiSelect.
+        • collapseOnDrag: adds `slip-collapsed` class to the element while it's reordered, e.g. to shrink a card to its title.
+                          The list is measured again once it has changed size.
+        • ghost: hides the element being reordered (class `slip-ghost`) and keeps it in the slot it would be dropped into,
+                 instead of moving it with the pointer, so that something else can be drawn there. See slip:dragmove.
+        • holdDelay: how long (ms) a touch has to rest on an element before it's picked up, 300 by default. With 0 it's picked
+                     up by the first movement, so the list can't be scrolled by dragging its elements.
+        • mouseHoldDelay: the same for the mouse, holdDelay if not given. 0 makes the mouse start reordering right away
+                          while touch still needs a long-press.
+        • holdToleranceAlong, holdToleranceAcross: how far (px) the pointer may wander along and across the list while
+                          holding, 25 and 15 by default.
+        • scrollThreshold: moving this far (px) along the list before the element is picked up is scrolling, 20 by default.
+                           Moving as far sideways starts a swipe, which may stray along the list 5 times as far (or by the
+                           element's size, if that's more) before it's decided.
+        • sidewaysRatio: movement this much more across the list than along it isn't scrolling, 1.2 by default.
+        • mouseOutsideDelay: reordering is cancelled once the mouse has been outside the window this long (ms), 700 by default.
+        • autoScrollEdge, autoScrollSpeed, autoScrollAcceleration: while reordering, the pointer this close (px, 40 by default)
+                          to the edge of a scrolling element or the window scrolls it, the innermost one that can still
+                          scroll that way first. The closer, the faster, up to autoScrollSpeed (px/s, 1200 by default),
+                          reached over autoScrollAcceleration (ms, 300 by default) after getting there.
+        • transitionDuration, transitionEasing: of elements sliding out of the way and back, 200 (ms) and 'ease-in-out'.
+                          Swiped elements slide back the same way, or fly off in half the time at an even speed.
+        • dragOut: elements can be dragged out of the list to remove them: dropped more than their own size away from it,
+                   or over the element returned by the `removeZone` function option, they fire slip:remove. Until then
+                   they have the `slip-removing` class while they're there, and the rest of the list closes up.
+                   slip:move has `remove: true` (and a null spliceIndex) when they get there. Not with virtual.
+        • externalDrop: makes room for things dragged over the list with HTML5 drag and drop, see slip:externaldrop.
+        • canDrop: function(originalIndex, spliceIndex, originalIndices) deciding whether the element may be dropped at
+                   spliceIndex (indices as in slip:reorder). Slots it refuses are passed over: the element goes to the allowed
+                   one nearest to the pointer on the way back to where it came from, and moving with the keyboard skips them. Dropping where it came from is always allowed.
+        • tree: for outlines, where elements are nested by depth rather than in the DOM. An object with `depth(index)`
+                (0 for the top level, each element no more than one deeper than the one before it) and `indent`
+                (px per level). An element is reordered together with its descendants, stacked under it, and moving it
+                sideways by `indent` makes it a level deeper or shallower (ArrowRight and ArrowLeft with the keyboard).
+                slip:move, slip:keyboardmove and slip:reorder then have the `depth` it's dropped at in event.detail.
+                Vertical lists only, without multiSelect, virtual or group.
+        • handleSelector: CSS selector of drag handles, `.slip-handle` by default. Elements that contain a handle can only
+                          be picked up by it (a tap elsewhere doesn't fire slip:tap either), the rest of the element
+                          keeps its normal behavior. Elements without handles can be picked up anywhere. Handles pick
+                          their element up as soon as they're moved, without holdDelay.
 
     Usage:
 
@@ -28,6 +157,17 @@
             You should set `user-select:none` (and WebKit prefixes, sigh) on list elements,
             otherwise unstoppable and glitchy text selection in iOS will get in the way.
 
+        Input:
+            Gestures go by Pointer Events, one pointer at a time: fingers and pens hold an element to pick it up (holdDelay),
+            the mouse waits mouseHoldDelay. Other pointers are ignored while an element is dragged, and the pointer is
+            captured so that its pointerup arrives wherever it's let go. If the browser takes the pointer over (pointercancel,
+            e.g. to scroll the page) the gesture is rolled back as with Escape. The click that ends a drag, a swipe or a
+            selection doesn't reach the page.
+
+        Tables:
+            The list can be a <tbody>, its rows the elements. The cells of the row being reordered keep their widths
+            until it's dropped, so that the columns don't change, and rows are spaced by the table's border-spacing.
+
         list.addEventListener('slip:beforereorder', function(e) {
             if (shouldNotReorder(e.target)) e.preventDefault();
         });
@@ -41,13 +181,17 @@
             }
         });
 
+        slip.setOptions(options) replaces the options given to `new Slip(list, options)`, from the next gesture on.
+        slip.detach() removes all of its listeners, e.g. before the list is removed from the page.
+
     Requires:
-        • Touch events
+        • Pointer Events
         • CSS transforms
         • Function.bind()
 
     Caveats:
-        • Elements must not change size while reordering or swiping takes place (otherwise it will be visually out of sync)
+        • Elements must not change size while swiping takes place (otherwise it will be visually out of sync).
+          While reordering they may, in browsers with ResizeObserver: positions are measured again when they do.
 */
 /*! @license
     Slip.js 1.2.0
@@ -71,41 +215,81 @@
     USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
 */
 
+import { getPositions, animateFrom } from './flip';
+
 export default (function(){
 
-    // -webkit-mess
-    const testElementStyle = document.createElement('div').style;
+    // -webkit-mess (on the server there's no document to test, nor anything to drag: assume the standard names)
+    const testElementStyle = typeof document === 'undefined' ? null : document.createElement('div').style;
+    const supports = name => !testElementStyle || name in testElementStyle;
 
-    const transitionJSPropertyName = "transition" in testElementStyle ? "transition" : "webkitTransition";
-    const transformJSPropertyName = "transform" in testElementStyle ? "transform" : "webkitTransform";
+    const transitionJSPropertyName = supports("transition") ? "transition" : "webkitTransition";
+    const transformJSPropertyName = supports("transform") ? "transform" : "webkitTransform";
     const transformCSSPropertyName = transformJSPropertyName === "webkitTransform" ? "-webkit-transform" : "transform";
-    const userSelectJSPropertyName = "userSelect" in testElementStyle ? "userSelect" : "webkitUserSelect";
+    const userSelectJSPropertyName = supports("userSelect") ? "userSelect" : "webkitUserSelect";
 
     function Slip(container, options = { raised: true }) {
         if ('string' === typeof container) container = document.querySelector(container);
         if (!container || !container.addEventListener) throw new Error("Please specify DOM node to attach to");
         
-        this.options = options;
+        this.options = withDefaults(options);
         
         if (!this || this === window) return new Slip(container);
 
         // Functions used for as event handlers need usable `this` and must not change to be removable
         this.cancel = this.setState.bind(this, this.states.idle);
-        this.onTouchStart = this.onTouchStart.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
         this.onTouchMove = this.onTouchMove.bind(this);
-        this.onTouchEnd = this.onTouchEnd.bind(this);
-        this.onMouseDown = this.onMouseDown.bind(this);
-        this.onMouseMove = this.onMouseMove.bind(this);
-        this.onMouseUp = this.onMouseUp.bind(this);
         this.onMouseLeave = this.onMouseLeave.bind(this);
+        this.onClickAfterGesture = this.onClickAfterGesture.bind(this);
+        this.unblockClick = this.unblockClick.bind(this);
         this.onSelection = this.onSelection.bind(this);
         this.onContainerFocus = this.onContainerFocus.bind(this);
         this.onContextMenu = this.onContextMenu.bind(this);
-
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onFocusOut = this.onFocusOut.bind(this);
+        this.onDragEnter = this.onDragEnter.bind(this);
+        this.onDragOver = this.onDragOver.bind(this);
+        this.onDragLeave = this.onDragLeave.bind(this);
+        this.onDrop = this.onDrop.bind(this);
+
+        this.selection = [];
         this.setState(this.states.idle);
         this.attach(container);
     }
 
+    // gesture timings and thresholds, see Options above
+    const defaults = {
+        holdDelay: 300,
+        mouseHoldDelay: undefined, // holdDelay
+        holdToleranceAlong: 25,
+        holdToleranceAcross: 15,
+        scrollThreshold: 20,
+        sidewaysRatio: 1.2,
+        mouseOutsideDelay: 700,
+        autoScrollEdge: 40,
+        autoScrollSpeed: 1200,
+        autoScrollAcceleration: 300,
+        transitionDuration: 200,
+        transitionEasing: 'ease-in-out',
+    };
+
+    function withDefaults(options) {
+        const result = Object.assign({}, defaults);
+        Object.keys(options).forEach(function(key){
+            if (options[key] !== undefined) result[key] = options[key];
+        });
+        if (result.mouseHoldDelay === undefined) result.mouseHoldDelay = result.holdDelay;
+        return result;
+    }
+
+    function getTransition(options) {
+        return transformCSSPropertyName + ' ' + options.transitionDuration + 'ms ' + options.transitionEasing;
+    }
+
     function getTransform(node) {
         const transform = node.style[transformJSPropertyName];
         if (transform) {
@@ -122,6 +306,14 @@ export default (function(){
         return {value:'', original:''};
     }
 
+    function indexOffset(options) {
+        return options.virtual ? options.virtual.first() : 0;
+    }
+
+    function getElements(container) {
+        return Array.prototype.filter.call(container.childNodes, node => node.nodeType === 1);
+    }
+
     function findIndex(target, nodes) {
       let originalIndex = 0;
       let listCount = 0;
@@ -138,31 +330,233 @@ export default (function(){
       return originalIndex;
     }
 
+    // Slip instances attached to containers, by group name
+    const groups = {};
+
+    const axes = {
+        y: { offset: 'offsetTop', length: 'offsetHeight', margins: ['marginTop', 'marginBottom'], coord: 'y', cross: 'x',
+             translate: d => 'translate(0,' + d + 'px) ' },
+        x: { offset: 'offsetLeft', length: 'offsetWidth', margins: ['marginLeft', 'marginRight'], coord: 'x', cross: 'y',
+             translate: d => 'translate(' + d + 'px,0) ' },
+    };
+
+    // grids reorder by slot, but gestures (scrolling vs. holding) behave like a vertical list
+    function getAxis(options) {
+        return axes[options.axis] || axes.y;
+    }
+
+    function isShown(node) {
+        return window.getComputedStyle(node).display !== 'none';
+    }
+
+    function shownSibling(node, direction) {
+        do node = node[direction]; while (node && !isShown(node));
+        return node;
+    }
+
+    /*
+        Space between the node and the element next to it along the axis (on the same line), as laid out: margins,
+        whether they collapse or not, and any gap of a flex or grid container. Without a neighbour to measure from,
+        it's worked out from the margins, which only collapse in vertical block layouts.
+    */
+    function spacing(node, axis) {
+        const cross = axis.coord === 'y' ? 'offsetLeft' : 'offsetTop';
+        const next = shownSibling(node, 'nextElementSibling');
+        if (next && next[cross] === node[cross]) return next[axis.offset] - node[axis.offset] - node[axis.length];
+        const prev = shownSibling(node, 'previousElementSibling');
+        if (prev && prev[cross] === node[cross]) return node[axis.offset] - prev[axis.offset] - prev[axis.length];
+
+        const style = window.getComputedStyle(node);
+        const margins = axis.margins.map(m => parseFloat(style[m]) || 0);
+        const list = window.getComputedStyle(node.parentNode);
+        if (axis.coord === 'y' && !/flex|grid/.test(list.display)) return Math.max(margins[0], margins[1]);
+        return margins[0] + margins[1] + (parseFloat(list[axis.coord === 'y' ? 'rowGap' : 'columnGap']) || 0);
+    }
+
+    // size of the node along the axis with the space after it, i.e. how far the elements after it move without it,
+    // or with the spacing of `spacedLike`, an element of another list it's going into
+    function measure(node, axis, spacedLike) {
+        const style = window.getComputedStyle(node);
+        // table rows have no margins, they're spaced out by the table's border-spacing (unless borders collapse)
+        if (style.display === 'table-row') {
+            const table = window.getComputedStyle(node.parentNode.parentNode);
+            const borderSpacing = table.borderCollapse === 'collapse' ? 0 : parseFloat((table.borderSpacing || '').split(' ').pop()) || 0;
+            return node[axis.length] + borderSpacing;
+        }
+        return node[axis.length] + spacing(spacedLike || node, axis);
+    }
+
+    /*
+        The cells of a table row keep their widths while it's dragged, as the table would otherwise work out its
+        columns again with some rows hidden or out of the way. Returns the widths they had, for unlockCells.
+    */
+    function lockCells(node) {
+        if (window.getComputedStyle(node).display !== 'table-row') return null;
+        const cells = Array.prototype.slice.call(node.children);
+        const widths = cells.map(cell => window.getComputedStyle(cell).width);
+        const locked = cells.map(cell => ({ node: cell, width: cell.style.width }));
+        cells.forEach((cell, i) => cell.style.width = widths[i]);
+        return locked;
+    }
+
+    function unlockCells(cells) {
+        if (cells) cells.forEach(cell => cell.node.style.width = cell.width);
+    }
+
+    // slide elements back to where they were before reordering, instead of snapping them back
+    function animateBack(nodes, options) {
+        nodes.forEach(function(o){
+            o.node.style[transitionJSPropertyName] = getTransition(options);
+            o.node.style[transformJSPropertyName] = o.baseTransform.original;
+        });
+        setTimeout(function(){
+            nodes.forEach(function(o){
+                o.node.style[transitionJSPropertyName] = '';
+            });
+        }, options.transitionDuration);
+    }
+
+    function matches(node, selector) {
+        const fn = node.matches || node.msMatchesSelector || node.webkitMatchesSelector;
+        return !!fn && fn.call(node, selector);
+    }
+
+    function getSlot(node) {
+        return {
+            x: node.offsetLeft,
+            y: node.offsetTop,
+            width: node.offsetWidth,
+            height: node.offsetHeight,
+        };
+    }
+
+    function findNearestSlot(slots, x, y) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        slots.forEach(function(slot, i){
+            const dx = slot.x + slot.width/2 - x;
+            const dy = slot.y + slot.height/2 - y;
+            const distance = dx*dx + dy*dy;
+            if (distance < nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // slot that the element in slot `index` moves to when the element in slot `from` is moved to slot `to`
+    function shiftSlot(index, from, to) {
+        if (from < index && index <= to) return index - 1;
+        if (to <= index && index < from) return index + 1;
+        return index;
+    }
+
+    function slotTranslate(slots, from, to) {
+        return 'translate(' + (slots[to].x - slots[from].x) + 'px,' + (slots[to].y - slots[from].y) + 'px) ';
+    }
+
+    // distance from the node's layout position to the slot before others[to], when it's moved there from `from`
+    function slotOffset(node, others, from, to, axis) {
+        if (to < from) {
+            return others[to].node[axis.offset] - node[axis.offset];
+        }
+        if (to > from) {
+            const prev = others[to-1].node;
+            return prev[axis.offset] + prev[axis.length] - node[axis.offset] - node[axis.length];
+        }
+        return 0;
+    }
+
+    /*
+        The elements that can scroll the element's position on the page, innermost first, ending with the page itself.
+        Inside a fixed element (e.g. a modal) the page scrolling behind it doesn't move the element, so it ends there.
+    */
+    function getScrollers(node) {
+        const page = document.scrollingElement || document.documentElement;
+        const scrollers = [];
+        let fixed = false;
+        for (let n = node; n && n !== page && n !== document.body && n.nodeType === 1 && !fixed; n = n.parentNode) {
+            const style = window.getComputedStyle(n);
+            const x = /auto|scroll|overlay/.test(style.overflowX);
+            const y = /auto|scroll|overlay/.test(style.overflowY);
+            if (x || y) scrollers.push({ node: n, x: x, y: y });
+            fixed = style.position === 'fixed';
+        }
+        if (!fixed) scrollers.push({ node: page, x: true, y: true, page: true });
+        return scrollers.map(function(s){
+            s.left = s.node.scrollLeft;
+            s.top = s.node.scrollTop;
+            s.width = s.node.scrollWidth;
+            s.height = s.node.scrollHeight;
+            return s;
+        });
+    }
+
+    // how hard (-1 to 1) the pointer at pos pushes on the edges of [start, end) of the given size
+    function edgePressure(pos, start, end, edge) {
+        if (pos > end - edge) return Math.min(1, (pos - end + edge) / edge);
+        if (pos < start + edge) return Math.max(-1, (pos - start - edge) / edge);
+        return 0;
+    }
+
+    // whether pos is within rect grown by margin on every side
+    function isWithin(rect, pos, margin) {
+        return pos.x >= rect.left - margin && pos.x < rect.right + margin && pos.y >= rect.top - margin && pos.y < rect.bottom + margin;
+    }
+
+    // in a tree, the elements after the one at `index` that are deeper than it: its descendants
+    function getDescendants(elements, index, tree) {
+        const depth = tree.depth(index);
+        const descendants = [];
+        for (let i = index + 1; i < elements.length && tree.depth(i) > depth; i++) {
+            descendants.push(elements[i]);
+        }
+        return descendants;
+    }
+
+    // the depth nearest to `depth` that an element can have at spliceIndex among elements of these depths:
+    // at most one deeper than the one before it, and no shallower than the one after it (which would lose its parent)
+    function fitDepth(depths, spliceIndex, depth) {
+        const max = spliceIndex > 0 ? depths[spliceIndex-1] + 1 : 0;
+        const min = spliceIndex < depths.length ? depths[spliceIndex] : 0;
+        return Math.max(min, Math.min(max, depth));
+    }
+
     // All functions in states are going to be executed in context of Slip object
     Slip.prototype = {
 
         container: null,
         state: null,
 
-        target: null, // the tapped/swiped/reordered node with height and backed up styles
+        target: null, // the tapped/swiped/reordered node with size and backed up styles
+        selection: null, // elements selected to be dragged together (multiSelect option)
+        selectionAnchor: null, // element the last range selection starts from
 
-        usingTouch: false, // there's no good way to detect touchscreen preference other than receiving a touch event (really, trust me).
-        mouseHandlersAttached: false,
+        usingTouch: false, // whether the gesture is made with a finger or a pen, which scroll the page, rather than the mouse
+        pointerId: null, // the pointer making the gesture, any other is ignored until it's lifted
+        pointerHandlersAttached: false,
 
         startPosition: null, // x,y,time where first touch began
         latestPosition: null, // x,y,time where the finger is currently
         previousPosition: null, // x,y,time where the finger was ~100ms ago (for velocity calculation)
 
-        canPreventScrolling: false,
+        preventsScrolling: false, // whether the latest movement of a touch is the gesture's rather than scrolling the page
 
         states: {
             idle: function idleStateInit() {
-                this.removeMouseHandlers();
+                this.removePointerHandlers();
                 if (this.target) {
                     this.target.node.style.willChange = '';
                     this.target = null;
                 }
+                // e.g. cancelled with Escape while the pointer is still down
+                if (this.pointerId !== null && this.container && this.container.hasPointerCapture && this.container.hasPointerCapture(this.pointerId)) {
+                    this.container.releasePointerCapture(this.pointerId);
+                }
+                this.pointerId = null;
                 this.usingTouch = false;
+                this.preventsScrolling = false;
 
                 return {
                     allowTextSelection: true,
@@ -172,25 +566,33 @@ export default (function(){
             undecided: function undecidedStateInit() {
 
                 let node = this.target.node;
-                const { marginTop, marginBottom } = window.getComputedStyle(node);
-                this.target.height = node.offsetHeight + Math.max(parseInt(marginTop), parseInt(marginBottom));
+                const axis = getAxis(this.options);
+                this.target.size = measure(node, axis);
                 node.style.willChange = transformCSSPropertyName;
                 node.style[transitionJSPropertyName] = '';
                 
-                let holdTimer;
-                if (!this.dispatch(this.target.originalTarget, 'beforewait')) {
-                    if (this.dispatch(this.target.originalTarget, 'beforereorder')) {
+                const originalIndex = findIndex(this.target, this.container.childNodes) + indexOffset(this.options);
+                const options = this.options;
+                // a handle is only there to drag with (and doesn't scroll the page), so it needs no hold
+                const holdDelay = this.hasHandles(node) ? 0 : this.usingTouch ? options.holdDelay : options.mouseHoldDelay;
+
+                function pickUp() {
+                    /*jshint validthis:true */
+                    if (this.dispatch(this.target.originalTarget, 'beforereorder', {originalIndex: originalIndex})) {
                         this.setState(this.states.reorder);
                     }
-                } else {
+                }
+
+                let holdTimer;
+                if (!this.dispatch(this.target.originalTarget, 'beforewait')) {
+                    pickUp.call(this);
+                } else if (holdDelay > 0) {
                     holdTimer = setTimeout(function(){
                         const move = this.getAbsoluteMovement();
-                        if (this.canPreventScrolling && move.x < 15 && move.y < 25) {
-                            if (this.dispatch(this.target.originalTarget, 'beforereorder')) {
-                                this.setState(this.states.reorder);
-                            }
+                        if (move[axis.cross] < options.holdToleranceAcross && move[axis.coord] < options.holdToleranceAlong) {
+                            pickUp.call(this);
                         }
-                    }.bind(this), 300);
+                    }.bind(this), holdDelay);
                 }
 
                 return {
@@ -201,12 +603,29 @@ export default (function(){
                     onMove: function() {
                         const move = this.getAbsoluteMovement();
 
-                        if (move.y > 20) {
+                        // no hold needed, the first movement picks the element up
+                        if (!holdDelay) {
+                            pickUp.call(this);
+                            return false;
+                        }
+
+                        // only vertical lists can be swiped, sideways, and a swipe may stray further along the list than a scroll
+                        if (axis.coord === 'y' && this.options.axis !== 'grid' && move.x > options.scrollThreshold && move.y < Math.max(options.scrollThreshold * 5, this.target.size)) {
+                            if (this.dispatch(this.target.originalTarget, 'beforeswipe', {originalIndex: originalIndex, direction: move.directionX})) {
+                                this.setState(this.states.swipe);
+                                return false;
+                            } else {
+                                this.setState(this.states.idle);
+                            }
+                        }
+
+                        // moving along the list before the hold timer fires means scrolling it
+                        if (move[axis.coord] > options.scrollThreshold) {
                             this.setState(this.states.idle);
                         }
 
                         // Chrome likes sideways scrolling :(
-                        if (move.x > move.y*1.2) return false;
+                        if (move[axis.cross] > move[axis.coord]*options.sidewaysRatio) return false;
                     },
 
                     onLeave: function() {
@@ -214,38 +633,206 @@ export default (function(){
                     },
 
                     onEnd: function() {
-                        const allowDefault = this.dispatch(this.target.originalTarget, 'tap');
+                        if (this.options.multiSelect) {
+                            const modifiers = this.target.modifiers;
+                            // once something is selected on a touch screen, taps add to the selection
+                            if (modifiers.toggle || modifiers.range || (this.usingTouch && this.getSelection().length)) {
+                                this.updateSelection(this.target.node, modifiers.range);
+                                this.setState(this.states.idle);
+                                return false;
+                            }
+                            if (!this.usingTouch && this.getSelection().length) this.select([]);
+                        }
+
+                        const allowDefault = this.dispatch(this.target.originalTarget, 'tap', {originalIndex: originalIndex});
                         this.setState(this.states.idle);
                         return allowDefault;
                     },
                 };
             },
 
+            swipe: function swipeStateInit() {
+                let swipeSuccess = false;
+                const container = this.container;
+
+                const originalIndex = findIndex(this.target, this.container.childNodes) + indexOffset(this.options);
+
+                container.classList.add('slip-swiping-container');
+                function removeClass() {
+                    container.classList.remove('slip-swiping-container');
+                }
+
+                this.target.node.style[userSelectJSPropertyName] = 'none';
+                this.capturePointer();
+
+                return {
+                    leaveState: function() {
+                        this.target.node.style[userSelectJSPropertyName] = '';
+
+                        if (swipeSuccess) {
+                            this.animateSwipe(function(target){
+                                if (this.dispatch(target.node, 'afterswipe', {originalIndex: originalIndex, direction: swipeSuccess})) {
+                                    // whoever handles the event removes the element, don't let it flash back in meanwhile
+                                    target.node.style.visibility = 'hidden';
+                                    target.node.style[transitionJSPropertyName] = '';
+                                    target.node.style[transformJSPropertyName] = target.baseTransform.original;
+                                    removeClass();
+                                } else {
+                                    target.node.style[transitionJSPropertyName] = getTransition(this.options);
+                                    this.animateToZero(removeClass, target, this.options.transitionDuration);
+                                }
+                            });
+                        } else {
+                            this.target.node.style[transitionJSPropertyName] = getTransition(this.options);
+                            this.animateToZero(removeClass, undefined, this.options.transitionDuration);
+                        }
+                    },
+
+                    onMove: function() {
+                        const move = this.getTotalMovement();
+
+                        if (Math.abs(move.y) < this.target.size + this.options.scrollThreshold) {
+                            this.target.node.style[transformJSPropertyName] = 'translate(' + move.x + 'px,0) ' + this.target.baseTransform.value;
+                            return false;
+                        } else {
+                            this.setState(this.states.idle);
+                        }
+                    },
+
+                    onLeave: function() {
+                        // Mouse left the window
+                        this.setState(this.states.idle);
+                    },
+
+                    onEnd: function() {
+                        const move = this.getAbsoluteMovement();
+
+                        // fling speed over the last ~100ms, or over the whole gesture if it was shorter than that
+                        const recent = this.latestPosition.time - this.previousPosition.time;
+                        const velocity = recent > 0 ?
+                            Math.abs(this.latestPosition.x - this.previousPosition.x) / recent :
+                            move.x / move.time;
+                        const swipedFraction = move.x / this.container.clientWidth;
+                        const threshold = this.options.swipeThreshold || 0.5;
+                        const minimumVelocity = this.options.minimumSwipeVelocity || 1;
+                        const minimumTime = this.options.minimumSwipeTime || 110;
+
+                        const swiped = (velocity > minimumVelocity && move.time > minimumTime) || swipedFraction > threshold;
+
+                        if (swiped && this.dispatch(this.target.node, 'swipe', {direction: move.directionX, originalIndex: originalIndex})) {
+                            swipeSuccess = move.directionX; // can't animate here, leaveState overrides anim
+                        }
+                        this.setState(this.states.idle);
+                        return !swiped;
+                    },
+                };
+            },
+
             reorder: function reorderStateInit() {
 
                 let node = this.target.node;
                 node.focus && node.focus();
+                this.capturePointer();
+                // before anything is hidden or collapsed
+                this.target.cells = lockCells(node);
+
+                const grid = this.options.axis === 'grid';
+                const group = !!this.options.group;
+                const virtual = this.options.virtual;
+                const axis = getAxis(this.options);
+                const transition = getTransition(this.options);
 
-                const { marginTop, marginBottom } = window.getComputedStyle(node);
-                this.target.height = node.offsetHeight + Math.max(parseInt(marginTop), parseInt(marginBottom));
-                
                 const nodes = this.container.childNodes;
-                const originalIndex = findIndex(this.target, nodes);
+                const originalIndex = findIndex(this.target, nodes) + indexOffset(this.options);
+
+                // other selected elements, or in a tree the element's descendants, are hidden while they're
+                // dragged along, stacked under this one
+                const tree = this.options.tree;
+                const elements = getElements(this.container);
+                const carried = tree ? [node].concat(getDescendants(elements, originalIndex, tree)) :
+                    this.options.multiSelect ? this.getSelection() : [];
+                const stack = carried.indexOf(node) >= 0 ? carried.filter(n => n !== node) : [];
+                let originalIndices = null;
+                if (stack.length) {
+                    originalIndices = carried.map(n => elements.indexOf(n));
+
+                    const before = getSlot(node);
+                    stack.forEach(n => n.style.display = 'none');
+                    // keep the element under the pointer as the list closes up around it
+                    this.startPosition = {
+                        x: this.startPosition.x - before.x + node.offsetLeft,
+                        y: this.startPosition.y - before.y + node.offsetTop,
+                        time: this.startPosition.time,
+                    };
+                    node.classList.add('slip-stacked');
+                    node.setAttribute('data-slip-count', carried.length);
+                }
+
+                if (this.options.collapseOnDrag && !virtual) {
+                    const rect = node.getBoundingClientRect();
+                    node.classList.add('slip-collapsed');
+                    // keep the pointer over the element if it shrinks away from under it
+                    const size = node[axis.length];
+                    const edge = axis.coord === 'y' ? rect.top : rect.left;
+                    if (this.startPosition[axis.coord] - edge > size) {
+                        this.startPosition = Object.assign({}, this.startPosition, {[axis.coord]: edge + size/2});
+                    }
+                }
+
+                // With the ghost option the element itself is hidden and waits in the slot it would be dropped into,
+                // while slip:dragmove tells where to draw something in its place and under the pointer
+                const ghost = !!this.options.ghost;
+                const originRect = node.getBoundingClientRect();
+                const grab = {
+                    x: this.startPosition.x - originRect.left,
+                    y: this.startPosition.y - originRect.top,
+                };
+                if (ghost) node.classList.add('slip-ghost');
+
                 let mouseOutsideTimer;
-                const zero = node.offsetTop + this.target.height/2;
+                const shown = getElements(this.container).filter(n => stack.indexOf(n) < 0);
+                const dragIndex = shown.indexOf(node); // among the elements still shown
                 const otherNodes = [];
-                for(let i=0; i < nodes.length; i++) {
-                    if (nodes[i].nodeType !== 1 || nodes[i] === node) continue;
-                    const t = nodes[i].offsetTop;
-                    nodes[i].style[transitionJSPropertyName] = transformCSSPropertyName + ' 0.2s ease-in-out';
-                    if (i > originalIndex)
-                        nodes[i].style.willChange = transformCSSPropertyName; 
+                shown.forEach(function(n, i){
+                    if (n === node) return;
+                    n.style[transitionJSPropertyName] = transition;
+                    if (i > dragIndex)
+                        n.style.willChange = transformCSSPropertyName; 
                     otherNodes.push({
-                        node: nodes[i],
-                        baseTransform: getTransform(nodes[i]),
-                        pos: t + (t < zero ? nodes[i].offsetHeight : 0) - zero,
+                        node: n,
+                        baseTransform: getTransform(n),
+                        slot: i,
                     });
+                });
+
+                // in a tree the element is shifted sideways by whole levels, to the depth it would be dropped at
+                const originalDepth = tree ? tree.depth(originalIndex) : 0;
+                const otherDepths = tree ? otherNodes.map(o => tree.depth(elements.indexOf(o.node))) : null;
+                function findDepth(spliceIndex, move) {
+                    return fitDepth(otherDepths, spliceIndex, originalDepth + Math.round(move.x / tree.indent));
                 }
+                function translateTo(depth, d) {
+                    return 'translate(' + (depth - originalDepth) * tree.indent + 'px,' + d + 'px) ';
+                }
+
+                // Layout offsets aren't affected by transforms, so this can run again mid-drag when sizes change
+                let slots;
+                function measureLayout() {
+                    /*jshint validthis:true */
+                    this.target.size = measure(node, axis);
+                    slots = shown.map(getSlot);
+
+                    const start = node[axis.offset];
+                    const end = start + node[axis.length];
+                    otherNodes.forEach(function(o){
+                        const t = o.node[axis.offset];
+                        const middle = t + o.node[axis.length]/2;
+                        // passed once the leading edge of the dragged element crosses the middle of this one
+                        o.pos = t < start ? middle - start : middle - end;
+                    });
+                }
+                measureLayout.call(this);
+
                 // const nodesArray = Array.prototype.slice.call(nodes);
                 // console.log(nodesArray.map(n => n.style.willChange));
                 node.classList.add('slip-dragging');
@@ -256,6 +843,220 @@ export default (function(){
                 node.style.zIndex = '99999';
                 node.style[userSelectJSPropertyName] = 'none';
 
+                // in a grid the drop slot is the one nearest to the centre of the dragged element
+                function findGridIndex(move) {
+                    const origin = slots[dragIndex];
+                    return findNearestSlot(slots, origin.x + origin.width/2 + move.x, origin.y + origin.height/2 + move.y);
+                }
+
+                function findSpliceIndex(d) {
+                    let i;
+                    if (d < 0) {
+                        for (i=0; i < otherNodes.length; i++) {
+                            if (otherNodes[i].pos > d) {
+                                break;
+                            }
+                        }
+                        return i;
+                    }
+                    for (i=otherNodes.length-1; i >= 0; i--) {
+                        if (otherNodes[i].pos < d) {
+                            break;
+                        }
+                    }
+                    return i+1;
+                }
+
+                // slot the element would be dropped into, reported whenever it changes
+                let over = null;
+                function dispatchMove(spliceIndex, toList, depth) {
+                    /*jshint validthis:true */
+                    if (over && over.spliceIndex === spliceIndex && over.toList === toList && over.depth === depth) return;
+                    over = { spliceIndex: spliceIndex, toList: toList, depth: depth };
+                    const detail = {
+                        spliceIndex: spliceIndex,
+                        originalIndex: originalIndex,
+                        x: this.latestPosition.x,
+                        y: this.latestPosition.y,
+                    };
+                    if (tree) detail.depth = depth;
+                    if (toList) {
+                        detail.transfer = true;
+                        detail.toList = toList.getListId();
+                    }
+                    this.dispatch(node, 'move', detail);
+                }
+
+                // shift is how far the element has been translated from its place in the layout
+                function dispatchDragMove(move, shift) {
+                    /*jshint validthis:true */
+                    const scrollX = move.x - (this.latestPosition.x - this.startPosition.x);
+                    const scrollY = move.y - (this.latestPosition.y - this.startPosition.y);
+                    this.dispatch(node, 'dragmove', {
+                        x: this.latestPosition.x - grab.x,
+                        y: this.latestPosition.y - grab.y,
+                        width: originRect.width,
+                        height: originRect.height,
+                        slot: {
+                            x: originRect.left + shift.x - scrollX,
+                            y: originRect.top + shift.y - scrollY,
+                            width: originRect.width,
+                            height: originRect.height,
+                        },
+                    });
+                }
+
+                // dropped, and accepted by whoever handles slip:reorder; anything else slides back
+                let dropped = false;
+                let accepted = false;
+                // where the elements are shown when dropped, before whoever handles the drop re-renders the list
+                let dropPositions = null;
+                function measureDrop() {
+                    dropPositions = getPositions([node].concat([].concat(otherNodes, ...visitedLists).map(o => o.node)));
+                }
+
+                // with dragOut, dropped away from the list (or over the remove zone) and removed by whoever handles slip:remove
+                const dragOut = this.options.dragOut && !virtual;
+                let out = false;
+                let removed = false;
+                function isDraggedOut(over) {
+                    /*jshint validthis:true */
+                    const zone = this.options.removeZone && this.options.removeZone();
+                    if (zone && isWithin(zone.getBoundingClientRect(), this.latestPosition, 0)) return true;
+                    // a little past the edge of the list is still reordering, e.g. to the end of it
+                    return group ? !over : !isWithin(this.container.getBoundingClientRect(), this.latestPosition, this.target.size);
+                }
+
+                function onDragOut(move) {
+                    /*jshint validthis:true */
+                    this.target.node.style[transformJSPropertyName] = 'translate(' + move.x + 'px,' + move.y + 'px) ' + this.target.baseTransform.value;
+                    if (ghost) dispatchDragMove.call(this, move, move);
+                    // the rest of the list closes up as if it was gone
+                    otherNodes.forEach(function(o, i){
+                        const off = grid ? (i >= dragIndex ? slotTranslate(slots, o.slot, o.slot - 1) : '') : (i >= dragIndex ? axis.translate(-this.target.size) : '');
+                        o.node.style[transformJSPropertyName] = off ? off + o.baseTransform.value : o.baseTransform.original;
+                    }, this);
+                    if (over && over.out) return;
+                    over = { out: true };
+                    this.dispatch(node, 'move', {
+                        spliceIndex: null,
+                        originalIndex: originalIndex,
+                        x: this.latestPosition.x,
+                        y: this.latestPosition.y,
+                        remove: true,
+                    });
+                }
+
+                // another list of the group the element is hovering over, with a gap opened for it
+                let foreign = null;
+                const visitedLists = [];
+
+                function enterList(slip) {
+                    const axis = getAxis(slip.options);
+                    const foreignNodes = [];
+                    const children = slip.container.childNodes;
+                    for(let i=0; i < children.length; i++) {
+                        if (children[i].nodeType !== 1) continue;
+                        const rect = children[i].getBoundingClientRect();
+                        children[i].style[transitionJSPropertyName] = transition;
+                        foreignNodes.push({
+                            node: children[i],
+                            baseTransform: getTransform(children[i]),
+                            center: axis.coord === 'y' ? rect.top + rect.height/2 : rect.left + rect.width/2,
+                        });
+                    }
+                    visitedLists.push(foreignNodes);
+                    return {
+                        slip: slip,
+                        axis: axis,
+                        size: measure(node, axis, foreignNodes.length ? foreignNodes[0].node : undefined),
+                        nodes: foreignNodes,
+                        spliceIndex: foreignNodes.length,
+                    };
+                }
+
+                function leaveList(foreign) {
+                    foreign.nodes.forEach(function(o){
+                        o.node.style[transformJSPropertyName] = o.baseTransform.original;
+                    });
+                }
+
+                // Windowed lists: positions come from virtual.position/size rather than from the DOM,
+                // and elements are mounted and unmounted while scrolling.
+                const virtualOrigin = virtual && virtual.position(originalIndex);
+                const virtualSize = virtual && virtual.size(originalIndex);
+
+                // same rule as measureLayout: an element is passed once the leading edge of the dragged one crosses its middle
+                function findVirtualIndex(d) {
+                    const middle = index => virtual.position(index) + virtual.size(index)/2;
+                    let index = originalIndex;
+                    if (d < 0) {
+                        while (index > 0 && virtualOrigin + d < middle(index-1)) index--;
+                    } else {
+                        while (index < virtual.count() - 1 && virtualOrigin + virtualSize + d > middle(index+1)) index++;
+                    }
+                    return index;
+                }
+
+                // elements currently in the DOM, other than the dragged one, with their index in the whole list
+                function mountedNodes() {
+                    /*jshint validthis:true */
+                    const first = virtual.first();
+                    return getElements(this.container).filter(n => n !== node).map(function(n, i){
+                        let o = null;
+                        for (let j=0; j < otherNodes.length; j++) {
+                            if (otherNodes[j].node === n) o = otherNodes[j];
+                        }
+                        if (!o) {
+                            // just scrolled into view, don't animate it from its untransformed position
+                            o = { node: n, baseTransform: getTransform(n), fresh: true };
+                            otherNodes.push(o);
+                        }
+                        const index = first + i;
+                        o.index = originalIndex >= first && index >= originalIndex ? index + 1 : index;
+                        return o;
+                    });
+                }
+
+                // the slot it was picked up from, where it can always be dropped
+                const home = virtual ? originalIndex : dragIndex;
+                const canDrop = this.options.canDrop;
+                // the slot nearest to spliceIndex on the way back home that canDrop allows (remembered, as it's asked every frame)
+                let asked = null;
+                function allow(spliceIndex) {
+                    if (!canDrop) return spliceIndex;
+                    if (asked && asked.spliceIndex === spliceIndex) return asked.allowed;
+                    let allowed = spliceIndex;
+                    while (allowed !== home && !canDrop(originalIndex, allowed, originalIndices)) {
+                        allowed += allowed < home ? 1 : -1;
+                    }
+                    asked = { spliceIndex: spliceIndex, allowed: allowed };
+                    return allowed;
+                }
+
+                function onVirtualMove(move) {
+                    /*jshint validthis:true */
+                    const d = move.y;
+                    // the element may have been moved around in the DOM as the window changed
+                    node.style[transformJSPropertyName] = axis.translate(virtualOrigin + d - node.offsetTop) + this.target.baseTransform.value;
+
+                    const spliceIndex = allow(findVirtualIndex(d));
+                    dispatchMove.call(this, spliceIndex);
+                    if (ghost) dispatchDragMove.call(this, move, {x: 0, y: d});
+                    mountedNodes.call(this).forEach(function(o){
+                        let off = 0;
+                        if (o.index >= spliceIndex && o.index < originalIndex) {
+                            off = virtualSize;
+                        }
+                        else if (o.index > originalIndex && o.index <= spliceIndex) {
+                            off = -virtualSize;
+                        }
+                        o.node.style[transitionJSPropertyName] = o.fresh ? '' : transition;
+                        o.fresh = false;
+                        o.node.style[transformJSPropertyName] = off ? axis.translate(off) + o.baseTransform.value : o.baseTransform.original;
+                    });
+                }
+
                 function onMove() {
 
                         /*jshint validthis:true */
@@ -269,19 +1070,95 @@ export default (function(){
                         }
 
                         const move = this.getTotalMovement();
-                        this.target.node.style[transformJSPropertyName] = 'translate(0,' + move.y + 'px) ' + this.target.baseTransform.value;
 
-                        const height = this.target.height; // +2 for margin
-                        otherNodes.forEach(function(o){
+                        if (virtual) {
+                            onVirtualMove.call(this, move);
+                            return;
+                        }
+
+                        const over = group ? this.findGroupMember(this.latestPosition) : this;
+
+                        if (foreign && foreign.slip !== over) {
+                            leaveList(foreign);
+                            foreign = null;
+                        }
+
+                        if (dragOut) {
+                            out = isDraggedOut.call(this, over);
+                            node.classList.toggle('slip-removing', out);
+                            if (out) {
+                                onDragOut.call(this, move);
+                                return;
+                            }
+                        }
+
+                        if (over && over !== this) {
+                            if (!foreign) foreign = enterList(over);
+                            this.target.node.style[transformJSPropertyName] = 'translate(' + move.x + 'px,' + move.y + 'px) ' + this.target.baseTransform.value;
+                            if (ghost) dispatchDragMove.call(this, move, move);
+
+                            // close the gap left in this list...
+                            otherNodes.forEach(function(o, i){
+                                o.node.style[transformJSPropertyName] = i >= dragIndex ? axis.translate(-this.target.size) + o.baseTransform.value : o.baseTransform.original;
+                            }, this);
+
+                            // ...and open one in the other list, before the first element past the pointer
+                            const pointer = this.latestPosition[foreign.axis.coord];
+                            let spliceIndex = 0;
+                            while (spliceIndex < foreign.nodes.length && foreign.nodes[spliceIndex].center < pointer) spliceIndex++;
+                            foreign.spliceIndex = spliceIndex;
+                            dispatchMove.call(this, spliceIndex, foreign.slip);
+                            foreign.nodes.forEach(function(o, i){
+                                o.node.style[transformJSPropertyName] = i >= spliceIndex ? foreign.axis.translate(foreign.size) + o.baseTransform.value : o.baseTransform.original;
+                            });
+                            return;
+                        }
+
+                        if (grid) {
+                            const spliceIndex = allow(findGridIndex(move));
+                            dispatchMove.call(this, spliceIndex);
+                            if (ghost) {
+                                const origin = slots[dragIndex];
+                                const slot = slots[spliceIndex];
+                                this.target.node.style[transformJSPropertyName] = slotTranslate(slots, dragIndex, spliceIndex) + this.target.baseTransform.value;
+                                dispatchDragMove.call(this, move, {x: slot.x - origin.x, y: slot.y - origin.y});
+                            } else {
+                                this.target.node.style[transformJSPropertyName] = 'translate(' + move.x + 'px,' + move.y + 'px) ' + this.target.baseTransform.value;
+                            }
+
+                            otherNodes.forEach(function(o){
+                                const to = shiftSlot(o.slot, dragIndex, spliceIndex);
+                                o.node.style[transformJSPropertyName] = to !== o.slot ? slotTranslate(slots, o.slot, to) + o.baseTransform.value : o.baseTransform.original;
+                            });
+                            return;
+                        }
+
+                        const d = move[axis.coord];
+                        const spliceIndex = allow(findSpliceIndex(d));
+                        const depth = tree ? findDepth(spliceIndex, move) : undefined;
+                        dispatchMove.call(this, spliceIndex, undefined, depth);
+                        if (ghost) {
+                            const offset = slotOffset(node, otherNodes, dragIndex, spliceIndex, axis);
+                            this.target.node.style[transformJSPropertyName] = (tree ? translateTo(depth, offset) : axis.translate(offset)) + this.target.baseTransform.value;
+                            dispatchDragMove.call(this, move, {x: tree ? (depth - originalDepth) * tree.indent : 0, y: 0, [axis.coord]: offset});
+                        } else if (tree) {
+                            this.target.node.style[transformJSPropertyName] = translateTo(depth, d) + this.target.baseTransform.value;
+                        } else {
+                            // within a group the element can be carried sideways to the other lists
+                            this.target.node.style[transformJSPropertyName] = (group ? 'translate(' + move.x + 'px,' + move.y + 'px) ' : axis.translate(d)) + this.target.baseTransform.value;
+                        }
+
+                        const size = this.target.size;
+                        otherNodes.forEach(function(o, i){
                             let off = 0;
-                            if (o.pos < 0 && move.y < 0 && o.pos > move.y) {
-                                off = height;
+                            if (i >= spliceIndex && i < dragIndex) {
+                                off = size;
                             }
-                            else if (o.pos > 0 && move.y > 0 && o.pos < move.y) {
-                                off = -height;
+                            else if (i >= dragIndex && i < spliceIndex) {
+                                off = -size;
                             }
                             // FIXME: should change accelerated/non-accelerated state lazily
-                            o.node.style[transformJSPropertyName] = off ? 'translate(0,'+off+'px) ' + o.baseTransform.value : o.baseTransform.original;
+                            o.node.style[transformJSPropertyName] = off ? axis.translate(off) + o.baseTransform.value : o.baseTransform.original;
                         });
                     });
                     return false;
@@ -289,9 +1166,23 @@ export default (function(){
 
                 onMove.call(this);
 
+                // keep up with elements changing size, e.g. collapsing or images loading
+                let resizeObserver = null;
+                if (typeof ResizeObserver !== 'undefined' && !virtual) {
+                    resizeObserver = new ResizeObserver(function(){
+                        if (!this.target) return;
+                        measureLayout.call(this);
+                        onMove.call(this);
+                    }.bind(this));
+                    shown.forEach(n => resizeObserver.observe(n));
+                }
+
                 return {
                     leaveState: function() {
                         if (mouseOutsideTimer) clearTimeout(mouseOutsideTimer);
+                        if (resizeObserver) resizeObserver.disconnect();
+                        node.classList.remove('slip-collapsed');
+                        node.classList.remove('slip-ghost');
 
                         if (this.container.focus) {
                             this.container.focus();
@@ -300,14 +1191,44 @@ export default (function(){
                         // this.target.node.classList.remove('slip-dragging');
                         this.target.node.style[userSelectJSPropertyName] = '';
 
-                        this.animateToZero(function(target){
-                            target.node.style.zIndex = '';
-                        });
+                        node.classList.remove('slip-removing');
+                        if (removed) {
+                            // whoever handles the event removes the elements, keep them out of the way meanwhile
+                            node.style.display = 'none';
+                        } else {
+                            stack.forEach(n => n.style.display = '');
+                        }
+                        node.classList.remove('slip-stacked');
+                        node.removeAttribute('data-slip-count');
+
                         otherNodes.forEach(function(o){
-                            o.node.style[transformJSPropertyName] = o.baseTransform.original;
                             o.node.style.willChange = null;
-                            o.node.style[transitionJSPropertyName] = ''; // FIXME: animate to new position
                         });
+                        // elements of the other lists visited on the way close their gaps too
+                        const foreignNodes = [].concat.apply([], visitedLists);
+                        if (accepted || removed) {
+                            this.animateDrop(dropPositions, otherNodes.concat(foreignNodes), function(target){
+                                target.node.style.zIndex = '';
+                                // whatever the handler of slip:remove left in the list is shown again
+                                if (removed) {
+                                    [target.node].concat(stack).forEach(function(n){
+                                        if (n.parentNode === this.container) n.style.display = '';
+                                    }, this);
+                                }
+                            });
+                        } else {
+                            this.target.node.style[transitionJSPropertyName] = transition;
+                            this.animateToZero(function(target){
+                                target.node.style.zIndex = '';
+                            }, undefined, this.options.transitionDuration);
+                            animateBack(otherNodes.concat(foreignNodes), this.options);
+                        }
+
+                        if (!dropped) {
+                            this.dispatch(node, 'cancel', {
+                                originalIndex: originalIndex,
+                            });
+                        }
                     },
 
                     onMove: onMove,
@@ -319,37 +1240,305 @@ export default (function(){
                         mouseOutsideTimer = setTimeout(function(){
                             mouseOutsideTimer = null;
                             this.cancel();
-                        }.bind(this), 700);
+                        }.bind(this), this.options.mouseOutsideDelay);
                     },
 
                     onEnd: function() {
+                        if (foreign) {
+                            const detail = {
+                                fromList: this.getListId(),
+                                toList: foreign.slip.getListId(),
+                                originalIndex: originalIndex,
+                                originalIndices: originalIndices,
+                                spliceIndex: foreign.spliceIndex,
+                                insertBefore: foreign.nodes[foreign.spliceIndex] ? foreign.nodes[foreign.spliceIndex].node : null,
+                            };
+                            measureDrop();
+                            this.dispatch(this.target.node, 'transfer', detail);
+                            this.dispatch(foreign.slip.container, 'transfer', detail);
+                            dropped = accepted = true;
+
+                            this.setState(this.states.idle);
+                            return false;
+                        }
+
+                        if (out) {
+                            dropped = true;
+                            measureDrop();
+                            removed = this.dispatch(this.target.node, 'remove', {
+                                originalIndex: originalIndex,
+                                originalIndices: originalIndices,
+                            });
+                            this.setState(this.states.idle);
+                            return false;
+                        }
+
                         const move = this.getTotalMovement();
-                        let i, spliceIndex;
-                        if (move.y < 0) {
-                            for (i=0; i < otherNodes.length; i++) {
-                                if (otherNodes[i].pos > move.y) {
-                                    break;
-                                }
-                            }
-                            spliceIndex = i;
+                        const d = move[axis.coord];
+
+                        // long-press without moving starts selecting on touch screens, which isn't a reorder given up
+                        if (this.options.multiSelect && this.usingTouch && !stack.length && Math.abs(move.x) < 5 && Math.abs(move.y) < 5) {
+                            dropped = true;
+                            this.updateSelection(node);
+                            this.setState(this.states.idle);
+                            return false;
+                        }
+
+                        let spliceIndex, insertBefore;
+                        if (virtual) {
+                            spliceIndex = allow(findVirtualIndex(d));
+                            // index in the whole list, not counting the dragged element
+                            const next = spliceIndex < originalIndex ? spliceIndex : spliceIndex + 1;
+                            mountedNodes.call(this).forEach(function(o){
+                                if (o.index === next) insertBefore = o.node;
+                            });
+                        } else if (grid) {
+                            spliceIndex = allow(findGridIndex(move));
                         } else {
-                            for (i=otherNodes.length-1; i >= 0; i--) {
-                                if (otherNodes[i].pos < move.y) {
-                                    break;
-                                }
-                            }
-                            spliceIndex = i+1;
+                            spliceIndex = allow(findSpliceIndex(d));
+                        }
+                        if (!virtual) {
+                            insertBefore = otherNodes[spliceIndex] ? otherNodes[spliceIndex].node : null;
                         }
 
-                        this.dispatch(this.target.node, 'reorder', {
+                        const detail = {
                             spliceIndex: spliceIndex,
                             originalIndex: originalIndex,
-                            insertBefore: otherNodes[spliceIndex] ? otherNodes[spliceIndex].node : null,
-                        });
+                            originalIndices: originalIndices,
+                            insertBefore: insertBefore || null,
+                        };
+                        if (tree) detail.depth = findDepth(spliceIndex, move);
+
+                        dropped = true;
+                        measureDrop();
+                        accepted = this.dispatch(this.target.node, 'reorder', detail);
 
                         this.setState(this.states.idle);
                         return false;
                     },
+
+                    onKeyDown: function(e) {
+                        if (e.key === 'Escape' || e.key === 'Esc') {
+                            this.cancel();
+                            return false;
+                        }
+                    },
+                };
+            },
+
+            keyboardReorder: function keyboardReorderStateInit() {
+
+                let node = this.target.node;
+                // moved by move() rather than with the keyboard
+                const programmatic = !!this.target.programmatic;
+                this.target.cells = lockCells(node);
+
+                const grid = this.options.axis === 'grid';
+                const axis = getAxis(this.options);
+                const transition = getTransition(this.options);
+                if (this.options.collapseOnDrag && !this.options.virtual) node.classList.add('slip-collapsed');
+                this.target.size = measure(node, axis);
+
+                const nodes = this.container.childNodes;
+                const originalIndex = findIndex(this.target, nodes);
+
+                // in a tree the element's descendants are hidden while they're moved along with it
+                const tree = this.options.tree;
+                const elements = getElements(this.container);
+                const stack = tree ? getDescendants(elements, originalIndex, tree) : [];
+                const originalIndices = stack.length ? [node].concat(stack).map(n => elements.indexOf(n)) : null;
+                if (stack.length) {
+                    stack.forEach(n => n.style.display = 'none');
+                    node.classList.add('slip-stacked');
+                    node.setAttribute('data-slip-count', stack.length + 1);
+                }
+
+                // only the elements in the DOM of a windowed list can be moved past, but events count them all
+                const first = indexOffset(this.options);
+                const slots = [];
+                const otherNodes = [];
+                for(let i=0; i < nodes.length; i++) {
+                    if (nodes[i].nodeType !== 1 || stack.indexOf(nodes[i]) >= 0) continue;
+                    slots.push(getSlot(nodes[i]));
+                    if (nodes[i] === node) continue;
+                    nodes[i].style[transitionJSPropertyName] = transition;
+                    otherNodes.push({
+                        node: nodes[i],
+                        baseTransform: getTransform(nodes[i]),
+                        slot: slots.length - 1,
+                    });
+                }
+                // number of slots in the first row, for moving up and down in a grid
+                const columns = slots.filter(slot => slot.y === slots[0].y).length;
+                let spliceIndex = originalIndex;
+                let dropped = false;
+                let accepted = false;
+                let dropPositions = null;
+
+                node.style[transitionJSPropertyName] = transition;
+                node.classList.add('slip-dragging');
+                if (this.options.draggingClassName)
+                    node.classList.add(this.options.draggingClassName);
+                if (this.options.raised)
+                    node.classList.add('slip-shadow');
+                node.style.zIndex = '99999';
+
+                const canDrop = this.options.canDrop;
+                const allowed = index => !canDrop || index === originalIndex || canDrop(first + originalIndex, first + index, originalIndices);
+
+                // ArrowLeft and ArrowRight make it shallower and deeper in a tree, as far as its new neighbours allow
+                const originalDepth = tree ? tree.depth(originalIndex) : 0;
+                const otherDepths = tree ? otherNodes.map(o => tree.depth(elements.indexOf(o.node))) : null;
+                let depth = originalDepth;
+
+                function indentTo(wanted) {
+                    /*jshint validthis:true */
+                    const fitted = fitDepth(otherDepths, spliceIndex, wanted);
+                    if (fitted === depth) return;
+                    depth = fitted;
+                    show.call(this);
+                }
+
+                function moveTo(index) {
+                    /*jshint validthis:true */
+                    index = Math.max(0, Math.min(otherNodes.length, index));
+                    // slots it can't be dropped into are skipped, if there's none further on it stays
+                    const step = index < spliceIndex ? -1 : 1;
+                    while (!allowed(index)) {
+                        index += step;
+                        if (index < 0 || index > otherNodes.length) return;
+                    }
+                    if (index === spliceIndex) return;
+                    spliceIndex = index;
+                    if (tree) depth = fitDepth(otherDepths, spliceIndex, depth);
+                    show.call(this);
+                }
+
+                function show() {
+                    /*jshint validthis:true */
+                    if (grid) {
+                        node.style[transformJSPropertyName] = slotTranslate(slots, originalIndex, spliceIndex) + this.target.baseTransform.value;
+                        otherNodes.forEach(function(o){
+                            const to = shiftSlot(o.slot, originalIndex, spliceIndex);
+                            o.node.style[transformJSPropertyName] = to !== o.slot ? slotTranslate(slots, o.slot, to) + o.baseTransform.value : o.baseTransform.original;
+                        });
+                    } else {
+                        const offset = slotOffset(node, otherNodes, originalIndex, spliceIndex, axis);
+                        node.style[transformJSPropertyName] = (tree ? 'translate(' + (depth - originalDepth) * tree.indent + 'px,' + offset + 'px) ' : axis.translate(offset)) + this.target.baseTransform.value;
+
+                        const size = this.target.size;
+                        otherNodes.forEach(function(o, i){
+                            let off = 0;
+                            if (i >= spliceIndex && i < originalIndex) {
+                                off = size;
+                            }
+                            else if (i >= originalIndex && i < spliceIndex) {
+                                off = -size;
+                            }
+                            o.node.style[transformJSPropertyName] = off ? axis.translate(off) + o.baseTransform.value : o.baseTransform.original;
+                        });
+                    }
+
+                    const detail = {
+                        spliceIndex: first + spliceIndex,
+                        originalIndex: first + originalIndex,
+                        keyboard: !programmatic,
+                        programmatic: programmatic,
+                    };
+                    if (tree) detail.depth = depth;
+                    this.dispatch(node, 'keyboardmove', detail);
+                }
+
+                function drop() {
+                    /*jshint validthis:true */
+                    const detail = {
+                        spliceIndex: first + spliceIndex,
+                        originalIndex: first + originalIndex,
+                        originalIndices: originalIndices,
+                        insertBefore: otherNodes[spliceIndex] ? otherNodes[spliceIndex].node : null,
+                        keyboard: !programmatic,
+                        programmatic: programmatic,
+                    };
+                    if (tree) detail.depth = depth;
+                    dropped = true;
+                    dropPositions = getPositions([node].concat(otherNodes.map(o => o.node)));
+                    accepted = this.dispatch(node, 'reorder', detail);
+                    this.setState(this.states.idle);
+                }
+
+                return {
+                    leaveState: function() {
+                        if (accepted) {
+                            this.animateDrop(dropPositions, otherNodes, function(target){
+                                target.node.style.zIndex = '';
+                            });
+                        } else {
+                            node.style[transitionJSPropertyName] = transition;
+                            this.animateToZero(function(target){
+                                target.node.style.zIndex = '';
+                            }, undefined, this.options.transitionDuration);
+                            animateBack(otherNodes, this.options);
+                        }
+                        node.classList.remove('slip-collapsed');
+                        stack.forEach(n => n.style.display = '');
+                        node.classList.remove('slip-stacked');
+                        node.removeAttribute('data-slip-count');
+                        if (!dropped) {
+                            this.dispatch(node, 'cancel', {
+                                originalIndex: first + originalIndex,
+                                keyboard: !programmatic,
+                                programmatic: programmatic,
+                            });
+                        }
+                    },
+
+                    onKeyDown: function(e) {
+                        switch (e.key) {
+                            case 'ArrowUp': case 'Up':
+                                moveTo.call(this, spliceIndex - (grid ? columns : 1));
+                                return false;
+                            case 'ArrowDown': case 'Down':
+                                moveTo.call(this, spliceIndex + (grid ? columns : 1));
+                                return false;
+                            case 'ArrowLeft': case 'Left':
+                                if (tree) indentTo.call(this, depth - 1);
+                                else moveTo.call(this, spliceIndex - 1);
+                                return false;
+                            case 'ArrowRight': case 'Right':
+                                if (tree) indentTo.call(this, depth + 1);
+                                else moveTo.call(this, spliceIndex + 1);
+                                return false;
+                            case 'Home':
+                                moveTo.call(this, 0);
+                                return false;
+                            case 'End':
+                                moveTo.call(this, otherNodes.length);
+                                return false;
+                            case ' ': case 'Spacebar': case 'Enter':
+                                drop.call(this);
+                                return false;
+                            case 'Escape': case 'Esc':
+                                this.cancel();
+                                return false;
+                            case 'Tab':
+                                this.cancel();
+                                return;
+                            default:
+                                return;
+                        }
+                    },
+
+                    onBlur: function(e) {
+                        if (e.relatedTarget !== node) this.cancel();
+                    },
+
+                    // for move(): returns the index it got to, which canDrop may not have allowed
+                    moveTo: function(index) {
+                        moveTo.call(this, index - first);
+                        return first + spliceIndex;
+                    },
+
+                    drop: drop,
                 };
             },
         },
@@ -359,6 +1548,10 @@ export default (function(){
 
             this.container = container;
 
+            if (this.options.group) {
+                groups[this.options.group] = (groups[this.options.group] || []).concat(this);
+            }
+
             this.container.addEventListener('focus', this.onContainerFocus, {passive:true, capture: false});
 
             this.otherNodes = [];
@@ -366,28 +1559,58 @@ export default (function(){
             // selection on iOS interferes with reordering
             document.addEventListener("selectionchange", this.onSelection, {passive:false, capture: false});
 
-            // cancel is called e.g. when iOS detects multitasking gesture
-            this.container.addEventListener('touchcancel', this.cancel, {passive:true, capture: false});
-            this.container.addEventListener('touchstart', this.onTouchStart, {passive:true, capture: false});
+            this.container.addEventListener('pointerdown', this.onPointerDown, {passive:true, capture: false});
+            // only touch events can stop a touch from scrolling the page
             this.container.addEventListener('touchmove', this.onTouchMove, {passive:false, capture: false});
-            this.container.addEventListener('touchend', this.onTouchEnd, {passive:false, capture: false});
-            this.container.addEventListener('mousedown', this.onMouseDown, {passive:true, capture: false});
             this.container.addEventListener('contextmenu', this.onContextMenu, {passive:false, capture: false});
-            // mousemove and mouseup are attached dynamically
+            this.container.addEventListener('keydown', this.onKeyDown, {passive:false, capture: false});
+            this.container.addEventListener('focusout', this.onFocusOut, {passive:true, capture: false});
+            // HTML5 drag and drop, for the externalDrop option
+            this.container.addEventListener('dragenter', this.onDragEnter, {passive:true, capture: false});
+            this.container.addEventListener('dragover', this.onDragOver, {passive:false, capture: false});
+            this.container.addEventListener('dragleave', this.onDragLeave, {passive:true, capture: false});
+            this.container.addEventListener('drop', this.onDrop, {passive:false, capture: false});
+            // pointermove, pointerup, etc. are attached dynamically
         },
 
         detach: function() {
             this.cancel();
 
-            this.container.removeEventListener('mousedown', this.onMouseDown, {passive:true, capture: false});
-            this.container.removeEventListener('touchend', this.onTouchEnd, {passive:false, capture: false});
+            if (this.options.group) {
+                groups[this.options.group] = groups[this.options.group].filter(slip => slip !== this);
+            }
+
+            this.container.removeEventListener('pointerdown', this.onPointerDown, {passive:true, capture: false});
             this.container.removeEventListener('touchmove', this.onTouchMove, {passive:false, capture: false});
-            this.container.removeEventListener('touchstart', this.onTouchStart, {passive:true, capture: false});
-            this.container.removeEventListener('touchcancel', this.cancel, {passive:true, capture: false});
             this.container.removeEventListener('contextmenu', this.onContextMenu, {passive:true, capture: false});
+            this.container.removeEventListener('keydown', this.onKeyDown, {passive:false, capture: false});
+            this.container.removeEventListener('focusout', this.onFocusOut, {passive:true, capture: false});
+            this.container.removeEventListener('focus', this.onContainerFocus, {passive:true, capture: false});
+            this.container.removeEventListener('dragenter', this.onDragEnter, {passive:true, capture: false});
+            this.container.removeEventListener('dragover', this.onDragOver, {passive:false, capture: false});
+            this.container.removeEventListener('dragleave', this.onDragLeave, {passive:true, capture: false});
+            this.container.removeEventListener('drop', this.onDrop, {passive:false, capture: false});
+            this.closeExternalGap();
 
             document.removeEventListener("selectionchange", this.onSelection, {passive:false, capture: false});
+            this.unblockClick();
+
+            this.container = null;
+        },
+
+        // takes effect from the next gesture
+        setOptions: function(options) {
+            const group = this.options.group;
+            this.options = withDefaults(options);
 
+            if (this.container && group !== this.options.group) {
+                if (group) {
+                    groups[group] = groups[group].filter(slip => slip !== this);
+                }
+                if (this.options.group) {
+                    groups[this.options.group] = (groups[this.options.group] || []).concat(this);
+                }
+            }
         },
 
         setState: function(newStateCtor){
@@ -405,6 +1628,82 @@ export default (function(){
             }
         },
 
+        /*
+            Moves the element at originalIndex to spliceIndex as if it had been picked up with the keyboard and dropped
+            there, see "Moving programmatically" above. Returns whether it's on its way.
+        */
+        move: function(originalIndex, spliceIndex) {
+            if (this.state.ctor !== this.states.idle) return false;
+            const node = getElements(this.container)[originalIndex - indexOffset(this.options)];
+            if (!node || !this.setTarget({target: node})) return false;
+
+            this.target.programmatic = true;
+            if (!this.dispatch(node, 'beforereorder', {originalIndex: originalIndex, programmatic: true})) {
+                this.setState(this.states.idle);
+                return false;
+            }
+            this.setState(this.states.keyboardReorder);
+            const state = this.state;
+            if (state.moveTo.call(this, spliceIndex) !== spliceIndex) {
+                this.cancel();
+                return false;
+            }
+
+            // dropped once it has slid there, unless something else has happened meanwhile
+            setTimeout(function(){
+                if (this.state === state) state.drop.call(this);
+            }.bind(this), this.options.transitionDuration);
+            return true;
+        },
+
+        getSelection: function() {
+            // forget elements that have been removed from the list meanwhile
+            this.selection = this.selection.filter(node => node.parentNode === this.container);
+            return this.selection;
+        },
+
+        select: function(nodes) {
+            const elements = getElements(this.container);
+            this.getSelection().forEach(node => node.classList.remove('slip-selected'));
+            this.selection = elements.filter(node => nodes.indexOf(node) >= 0);
+            this.selection.forEach(node => node.classList.add('slip-selected'));
+
+            this.dispatch(this.container, 'select', {
+                indices: this.selection.map(node => elements.indexOf(node)),
+            });
+        },
+
+        // toggles the element, or with `range` selects everything from the previously toggled element to it
+        updateSelection: function(node, range) {
+            const selection = this.getSelection();
+            if (range && this.selectionAnchor && this.selectionAnchor.parentNode === this.container) {
+                const elements = getElements(this.container);
+                const from = elements.indexOf(this.selectionAnchor);
+                const to = elements.indexOf(node);
+                this.select(elements.slice(Math.min(from, to), Math.max(from, to) + 1));
+                return;
+            }
+
+            this.selectionAnchor = node;
+            this.select(selection.indexOf(node) >= 0 ? selection.filter(n => n !== node) : selection.concat(node));
+        },
+
+        getListId: function() {
+            return this.options.listId === undefined ? this.container : this.options.listId;
+        },
+
+        // list of the same group under the pointer, this one first
+        findGroupMember: function(pos) {
+            const members = [this].concat(groups[this.options.group] || []);
+            for (let i=0; i < members.length; i++) {
+                const rect = members[i].container.getBoundingClientRect();
+                if (pos.x >= rect.left && pos.x < rect.right && pos.y >= rect.top && pos.y < rect.bottom) {
+                    return members[i];
+                }
+            }
+            return null;
+        },
+
         findTargetNode: function(targetNode) {
             while(targetNode && targetNode.parentNode !== this.container) {
                 targetNode = targetNode.parentNode;
@@ -432,28 +1731,57 @@ export default (function(){
             }
         },
 
-        addMouseHandlers: function() {
-            // unlike touch events, mousemove/up is not conveniently fired on the same element,
-            // but I don't need to listen to unrelated events all the time
-            if (!this.mouseHandlersAttached) {
-                this.mouseHandlersAttached = true;
+        addPointerHandlers: function() {
+            // the pointer doesn't stay over the list, but I don't need to listen to unrelated events all the time
+            if (!this.pointerHandlersAttached) {
+                this.pointerHandlersAttached = true;
                 document.documentElement.addEventListener('mouseleave', this.onMouseLeave, {passive:true, capture: false});
-                window.addEventListener('mousemove', this.onMouseMove, {passive:false, capture: true});
-                window.addEventListener('mouseup', this.onMouseUp, {passive:false, capture: true});
+                window.addEventListener('pointermove', this.onPointerMove, {passive:false, capture: true});
+                window.addEventListener('pointerup', this.onPointerUp, {passive:false, capture: true});
+                window.addEventListener('pointercancel', this.onPointerCancel, {passive:true, capture: true});
                 window.addEventListener('blur', this.cancel, {passive:true, capture: false});
             }
         },
 
-        removeMouseHandlers: function() {
-            if (this.mouseHandlersAttached) {
-                this.mouseHandlersAttached = false;
+        removePointerHandlers: function() {
+            if (this.pointerHandlersAttached) {
+                this.pointerHandlersAttached = false;
                 document.documentElement.removeEventListener('mouseleave', this.onMouseLeave, {passive:true, capture: false});
-                window.removeEventListener('mousemove', this.onMouseMove, {passive:false, capture: true});
-                window.removeEventListener('mouseup', this.onMouseUp, {passive:false, capture: true});
+                window.removeEventListener('pointermove', this.onPointerMove, {passive:false, capture: true});
+                window.removeEventListener('pointerup', this.onPointerUp, {passive:false, capture: true});
+                window.removeEventListener('pointercancel', this.onPointerCancel, {passive:true, capture: true});
                 window.removeEventListener('blur', this.cancel, {passive:true, capture: false});
             }
         },
 
+        // once an element is swiped or reordered, the rest of the gesture comes to the list wherever the pointer goes
+        // (out of the window, over an iframe), so it can't be left hanging without its pointerup
+        capturePointer: function() {
+            if (this.pointerId === null || !this.container.setPointerCapture) return;
+            try {
+                this.container.setPointerCapture(this.pointerId);
+            } catch(e) {
+                // the pointer is gone already, pointercancel is on its way
+            }
+        },
+
+        // the click that follows a gesture the list has handled is swallowed, unless another gesture starts first
+        blockClick: function() {
+            window.addEventListener('click', this.onClickAfterGesture, {passive:false, capture: true});
+            window.addEventListener('pointerdown', this.unblockClick, {passive:true, capture: true});
+        },
+
+        unblockClick: function() {
+            window.removeEventListener('click', this.onClickAfterGesture, {passive:false, capture: true});
+            window.removeEventListener('pointerdown', this.unblockClick, {passive:true, capture: true});
+        },
+
+        onClickAfterGesture: function(e) {
+            this.unblockClick();
+            e.preventDefault();
+            e.stopPropagation();
+        },
+
         onMouseLeave: function(e) {
             e.stopPropagation();
             if (this.usingTouch) return;
@@ -465,13 +1793,25 @@ export default (function(){
             }
         },
 
-        onMouseDown: function(e) {
-            e.stopPropagation();
-            if (this.usingTouch || e.button !== 0 || !this.setTarget(e)) return;
+        onPointerDown: function(e) {
+            // one pointer at a time: another finger before the element is picked up is more likely zooming than
+            // reordering, and once it's picked up other fingers, pens and mice are ignored
+            if (this.pointerId !== null && e.pointerId !== this.pointerId) {
+                if (this.state.ctor === this.states.undecided) this.cancel();
+                return;
+            }
+
+            // an element moved with the keyboard or by move() has to be dropped first
+            if (this.pointerId === null && this.state.ctor !== this.states.idle) return;
 
-            this.addMouseHandlers(); // mouseup, etc.
+            if (!e.isPrimary || e.button !== 0 || !this.isDraggableFrom(e.target) || !this.setTarget(e)) return;
+            // only once it's a gesture, presses on controls in an element with a handle are left to the page
+            e.stopPropagation();
 
-            this.canPreventScrolling = true; // or rather it doesn't apply to mouse
+            this.pointerId = e.pointerId;
+            this.usingTouch = e.pointerType !== 'mouse';
+            this.preventsScrolling = false;
+            this.addPointerHandlers(); // pointerup, etc.
 
             this.startAtPosition({
                 x: e.clientX,
@@ -480,24 +1820,20 @@ export default (function(){
             });
         },
 
-        onTouchStart: function(e) {
-            e.stopPropagation();
-            this.usingTouch = true;
-            this.canPreventScrolling = true;
-
-            // This implementation cares only about single touch
-            if (e.touches.length > 1) {
-                this.setState(this.states.idle);
-                return;
-            }
+        hasHandles: function(item) {
+            return !!item.querySelector(this.options.handleSelector || '.slip-handle');
+        },
 
-            if (!this.setTarget(e)) return;
+        // elements with drag handles can only be picked up by them
+        isDraggableFrom: function(node) {
+            const item = this.findTargetNode(node);
+            if (!item || !this.hasHandles(item)) return true;
 
-            this.startAtPosition({
-                x: e.touches[0].clientX,
-                y: e.touches[0].clientY,
-                time: e.timeStamp,
-            });
+            const selector = this.options.handleSelector || '.slip-handle';
+            for (; node && node !== item; node = node.parentNode) {
+                if (matches(node, selector)) return true;
+            }
+            return false;
         },
 
         setTarget: function(e) {
@@ -507,21 +1843,16 @@ export default (function(){
                 return false;
             }
 
-            //check for a scrollable parent
-            let scrollContainer = targetNode.parentNode;
-            while (scrollContainer) {
-                if (scrollContainer === document.body) break;
-                if (scrollContainer.scrollHeight > scrollContainer.clientHeight && window.getComputedStyle(scrollContainer)['overflow-y'] !== 'visible') break;
-                scrollContainer = scrollContainer.parentNode;
-            }
-            scrollContainer = scrollContainer || document.body;
-
             this.target = {
                 originalTarget: e.target,
                 node: targetNode,
-                scrollContainer: scrollContainer,
-                origScrollTop: scrollContainer.scrollTop,
-                origScrollHeight: scrollContainer.scrollHeight,
+                modifiers: {
+                    toggle: !!(e.ctrlKey || e.metaKey),
+                    range: !!e.shiftKey,
+                },
+                // with where they were scrolled to and how big they were, as moving elements are followed through scrolling
+                scrollers: getScrollers(targetNode.parentNode),
+                listSize: { width: this.container.offsetWidth, height: this.container.offsetHeight },
                 baseTransform: getTransform(targetNode),
             };
             return true;
@@ -539,7 +1870,9 @@ export default (function(){
             this.latestPosition = pos;
 
             if (this.state.onMove) {
-                if (this.state.onMove.call(this) === false) {
+                // a state that gives the gesture up (e.g. to the page scrolling sideways) may still return false
+                this.preventsScrolling = this.state.onMove.call(this) === false && this.state.ctor !== this.states.idle;
+                if (this.preventsScrolling) {
                     e.preventDefault();
                 }
             }
@@ -550,7 +1883,8 @@ export default (function(){
             }
         },
 
-        onMouseMove: function(e) {
+        onPointerMove: function(e) {
+            if (e.pointerId !== this.pointerId) return;
             e.stopPropagation();
             this.updatePosition(e, {
                 x: e.clientX,
@@ -559,47 +1893,169 @@ export default (function(){
             });
         },
 
+        // fired after the pointermove of the same movement, which decides whether the page may scroll
         onTouchMove: function(e) {
-            e.stopPropagation();
-            this.updatePosition(e, {
-                x: e.touches[0].clientX,
-                y: e.touches[0].clientY,
-                time: e.timeStamp,
-            });
-
-            // In Apple's touch model only the first move event after touchstart can prevent scrolling (and event.cancelable is broken)
-            this.canPreventScrolling = false;
+            if (this.preventsScrolling) {
+                e.preventDefault();
+            }
         },
 
-        onMouseUp: function(e) {
+        onPointerUp: function(e) {
+            if (e.pointerId !== this.pointerId) return;
             e.stopPropagation();
-            if (this.usingTouch || e.button !== 0) return;
 
             if (this.state.onEnd && false === this.state.onEnd.call(this)) {
                 e.preventDefault();
+                this.blockClick();
             }
         },
 
-        onTouchEnd: function(e) {
-            e.stopPropagation();
-            if (e.touches.length > 1) {
-                this.cancel();
-            } else if (this.state.onEnd && false === this.state.onEnd.call(this)) {
-                e.preventDefault();
+        // the browser has taken the pointer over, e.g. to scroll the page or for a system gesture, or it's gone
+        // (a pen out of range): whatever it was doing is rolled back
+        onPointerCancel: function(e) {
+            if (e.pointerId !== this.pointerId) return;
+            this.cancel();
+        },
+
+        onKeyDown: function(e) {
+            if (this.state.onKeyDown) {
+                if (this.state.onKeyDown.call(this, e) === false) {
+                    e.preventDefault();
+                }
+                return;
+            }
+
+            if ((e.key === 'Escape' || e.key === 'Esc') && this.getSelection().length) {
+                this.select([]);
+                return;
+            }
+
+            if (e.key !== ' ' && e.key !== 'Spacebar' && e.key !== 'Enter') return;
+
+            // only the focused list element itself (or its handle) can be picked up, not controls inside of it
+            if (this.state.ctor !== this.states.idle) return;
+            const item = this.findTargetNode(e.target);
+            if (e.target !== item && !(item && this.hasHandles(item) && this.isDraggableFrom(e.target))) return;
+            if (!this.setTarget(e)) return;
+
+            e.preventDefault();
+            const originalIndex = findIndex(this.target, this.container.childNodes) + indexOffset(this.options);
+            if (this.dispatch(this.target.node, 'beforereorder', { originalIndex: originalIndex, keyboard: true })) {
+                this.setState(this.states.keyboardReorder);
+            } else {
+                this.setState(this.states.idle);
+            }
+        },
+
+        onFocusOut: function(e) {
+            if (this.state.onBlur) {
+                this.state.onBlur.call(this, e);
             }
         },
 
         onContextMenu: function(e) {
+            // parts of the element that can't be dragged keep their menu, as does the list around the elements
+            if (!this.findTargetNode(e.target) || !this.isDraggableFrom(e.target)) return;
             e.preventDefault();
             e.stopPropagation();
         },
 
+        /*
+            Something dragged in from outside the list (HTML5 drag and drop, e.g. from a palette or files from the
+            desktop) opens a gap where it would be dropped, the same way elements make room while reordering.
+            dragenter and dragleave fire for every element crossed, so they're counted to know when it's left.
+        */
+        onDragEnter: function() {
+            if (!this.options.externalDrop || this.target) return;
+            this.dragEnterCount = (this.dragEnterCount || 0) + 1;
+        },
+
+        onDragOver: function(e) {
+            if (!this.options.externalDrop || this.target) return;
+            // allows dropping here
+            e.preventDefault();
+
+            if (!this.externalGap) {
+                const axis = getAxis(this.options);
+                const transition = getTransition(this.options);
+                const elements = getElements(this.container);
+                this.externalGap = {
+                    axis: axis,
+                    size: elements.length ? measure(elements[0], axis) : 0,
+                    spliceIndex: null,
+                    nodes: elements.map(function(n){
+                        const rect = n.getBoundingClientRect();
+                        n.style[transitionJSPropertyName] = transition;
+                        return {
+                            node: n,
+                            baseTransform: getTransform(n),
+                            center: axis.coord === 'y' ? rect.top + rect.height/2 : rect.left + rect.width/2,
+                        };
+                    }),
+                };
+            }
+
+            const gap = this.externalGap;
+            const pointer = gap.axis.coord === 'y' ? e.clientY : e.clientX;
+            let spliceIndex = 0;
+            while (spliceIndex < gap.nodes.length && gap.nodes[spliceIndex].center < pointer) spliceIndex++;
+            if (spliceIndex === gap.spliceIndex) return;
+            gap.spliceIndex = spliceIndex;
+            gap.nodes.forEach(function(o, i){
+                o.node.style[transformJSPropertyName] = i >= spliceIndex ? gap.axis.translate(gap.size) + o.baseTransform.value : o.baseTransform.original;
+            });
+            this.dispatch(this.container, 'externalmove', {
+                spliceIndex: spliceIndex + indexOffset(this.options),
+            });
+        },
+
+        onDragLeave: function() {
+            if (!this.externalGap) return;
+            this.dragEnterCount--;
+            if (this.dragEnterCount > 0) return;
+            this.closeExternalGap();
+            this.dispatch(this.container, 'externalleave');
+        },
+
+        onDrop: function(e) {
+            const gap = this.externalGap;
+            if (!gap) return;
+            e.preventDefault();
+            this.externalGap = null;
+            this.dragEnterCount = 0;
+
+            // the elements slide from around the gap to wherever they end up, with the new one in if it was added
+            const positions = getPositions(gap.nodes.map(o => o.node));
+            gap.nodes.forEach(function(o){
+                o.node.style[transitionJSPropertyName] = '';
+                o.node.style[transformJSPropertyName] = o.baseTransform.original;
+            });
+            this.dispatch(this.container, 'externaldrop', {
+                dataTransfer: e.dataTransfer,
+                spliceIndex: gap.spliceIndex + indexOffset(this.options),
+                insertBefore: gap.nodes[gap.spliceIndex] ? gap.nodes[gap.spliceIndex].node : null,
+            });
+            animateFrom(positions, {duration: this.options.transitionDuration, easing: this.options.transitionEasing});
+        },
+
+        closeExternalGap: function() {
+            if (!this.externalGap) return;
+            animateBack(this.externalGap.nodes, this.options);
+            this.externalGap = null;
+            this.dragEnterCount = 0;
+        },
+
         getTotalMovement: function() {
             if (!this.target) return;
-            const scrollOffset = this.target.scrollContainer.scrollTop - this.target.origScrollTop;
+            let scrollOffsetX = 0;
+            let scrollOffsetY = 0;
+            this.target.scrollers.forEach(function(s){
+                scrollOffsetX += s.node.scrollLeft - s.left;
+                scrollOffsetY += s.node.scrollTop - s.top;
+            });
             return {
-                x: this.latestPosition.x - this.startPosition.x,
-                y: this.latestPosition.y - this.startPosition.y + scrollOffset,
+                x: this.latestPosition.x - this.startPosition.x + scrollOffsetX,
+                y: this.latestPosition.y - this.startPosition.y + scrollOffsetY,
                 time: this.latestPosition.time - this.startPosition.time,
             };
         },
@@ -615,25 +2071,63 @@ export default (function(){
             };
         },
 
+        /*
+            Scrolls whatever the pointer is near the edge of, and keeps at it from frame to frame (moving the element
+            along) until it's moved away or there's no further to go. Scrolling goes as far as the page was, plus
+            however much the list has grown since (e.g. more items loaded), but not further for the element being
+            dragged off the end.
+        */
         updateScrolling: function() {
-            let triggerOffset = 40,
-                offset = 0;
-
-            const scrollable = this.target.scrollContainer,
-                containerRect = scrollable.getBoundingClientRect(),
-                targetRect = this.target.node.getBoundingClientRect(),
-                bottomOffset = Math.min(containerRect.bottom, window.innerHeight) - targetRect.bottom,
-                topOffset = targetRect.top - Math.max(containerRect.top, 0),
-                maxScrollTop = this.target.origScrollHeight - Math.min(scrollable.clientHeight, window.innerHeight);
+            const target = this.target;
+            const options = this.options;
+            const pos = this.latestPosition;
+            const now = Date.now();
+            const grownX = this.container.offsetWidth - target.listSize.width;
+            const grownY = this.container.offsetHeight - target.listSize.height;
+
+            const scroll = { x: null, y: null };
+            target.scrollers.forEach(function(s){
+                const rect = s.page ? { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight } : s.node.getBoundingClientRect();
+                [['x', 'scrollLeft', 'left', 'right', s.width + grownX - s.node.clientWidth],
+                 ['y', 'scrollTop', 'top', 'bottom', s.height + grownY - s.node.clientHeight]].forEach(function(a){
+                    const [coord, property, start, end, max] = a;
+                    if (!s[coord] || scroll[coord]) return;
+                    // only the part of it that's in the window
+                    const pressure = edgePressure(pos[coord], Math.max(rect[start], 0), Math.min(rect[end], coord === 'x' ? window.innerWidth : window.innerHeight), options.autoScrollEdge);
+                    if ((pressure < 0 && s.node[property] > 0) || (pressure > 0 && s.node[property] < max)) {
+                        scroll[coord] = { scroller: s, property: property, pressure: pressure, max: max };
+                    }
+                });
+            });
 
-            if (bottomOffset < triggerOffset) {
-              offset = Math.min(triggerOffset, triggerOffset - bottomOffset);
-            }
-            else if (topOffset < triggerOffset) {
-              offset = Math.max(-triggerOffset, topOffset - triggerOffset);
+            if (!scroll.x && !scroll.y) {
+                target.scrolling = null;
+                return;
             }
+            if (!target.scrolling) target.scrolling = { since: now, last: now };
+            const elapsed = Math.min(now - target.scrolling.last, 100);
+            target.scrolling.last = now;
+
+            // faster towards the very edge, and speeding up smoothly rather than jumping there
+            const ramp = options.autoScrollAcceleration > 0 ? Math.min(1, (now - target.scrolling.since) / options.autoScrollAcceleration) : 1;
+            ['x', 'y'].forEach(function(coord){
+                const sc = scroll[coord];
+                if (!sc) return;
+                const speed = options.autoScrollSpeed * sc.pressure * Math.abs(sc.pressure) * ramp;
+                // scroll positions are whole pixels, keep the fractions of slow frames until they add up
+                const distance = (target.scrolling[coord] || 0) + speed * elapsed / 1000;
+                const whole = Math.trunc(distance);
+                target.scrolling[coord] = distance - whole;
+                const node = sc.scroller.node;
+                node[sc.property] = Math.max(0, Math.min(sc.max, node[sc.property] + whole));
+            });
 
-            scrollable.scrollTop = Math.max(0, Math.min(maxScrollTop, scrollable.scrollTop + offset));
+            if (!target.scrollFrame) {
+                target.scrollFrame = requestAnimationFrame(function(){
+                    target.scrollFrame = null;
+                    if (this.target === target && this.state.onMove) this.state.onMove.call(this);
+                }.bind(this));
+            }
         },
 
         dispatch: function(targetNode, eventName, detail) {
@@ -648,7 +2142,22 @@ export default (function(){
             return targetNode.dispatchEvent(event);
         },
 
-        animateToZero: function(callback, target) {
+        animateSwipe: function(callback) {
+            const target = this.target;
+            const node = target.node;
+
+            // FIXME: animate with real velocity
+            // already on its way, it flies off in half the time elements take to slide, at an even speed
+            const duration = this.options.transitionDuration / 2;
+            node.style[transitionJSPropertyName] = transformCSSPropertyName + ' ' + duration + 'ms linear';
+            node.style[transformJSPropertyName] = 'translate(' + (this.getTotalMovement().x > 0 ? '' : '-') + '100%,0) ' + target.baseTransform.value;
+
+            setTimeout(function(){
+                callback.call(this, target);
+            }.bind(this), duration + 1);
+        },
+
+        animateToZero: function(callback, target, duration = 100) {
             // save, because this.target/container could change during animation
             target = target || this.target;
             let node = target.node;
@@ -658,19 +2167,46 @@ export default (function(){
             setTimeout(function(){
                 node.style[transitionJSPropertyName] = '';
                 node.style[transformJSPropertyName] = target.baseTransform.original;
-                node.classList.remove(this.options.draggingClassName);                
-                node.classList.remove('slip-dragging');
-                node.classList.remove('slip-shadow');
-                node.classList.add('slip-dropping');
-                const fn = e => {
-                    node.classList.remove('slip-dropping');
-                    node.removeEventListener("transitionend", fn, false);
-                }
-                node.addEventListener("transitionend", fn, false);
-                if (callback) callback.call(this, target);
-            }.bind(this), 100);
+                this.endDragging(target, callback);
+            }.bind(this), duration);
+        },
+
+        /*
+            Dropped and accepted: whoever handles slip:reorder may have moved elements in the DOM by now, or will do
+            soon. Either way they slide from `positions`, where they were shown when dropped (measured before the
+            event, as a handler can re-render synchronously), to where the layout puts them, and if that changes
+            again meanwhile, the next animation picks up from wherever they've got to.
+        */
+        animateDrop: function(positions, others, callback) {
+            const target = this.target;
+            target.node.style[transformJSPropertyName] = target.baseTransform.original;
+            others.forEach(function(o){
+                o.node.style[transformJSPropertyName] = o.baseTransform.original;
+            });
+            animateFrom(positions, {duration: this.options.transitionDuration, easing: this.options.transitionEasing});
+
+            setTimeout(function(){
+                this.endDragging(target, callback);
+            }.bind(this), this.options.transitionDuration);
+        },
+
+        endDragging: function(target, callback) {
+            const node = target.node;
+            unlockCells(target.cells);
+            node.classList.remove(this.options.draggingClassName);
+            node.classList.remove('slip-dragging');
+            node.classList.remove('slip-shadow');
+            node.classList.add('slip-dropping');
+            const fn = e => {
+                node.classList.remove('slip-dropping');
+                node.removeEventListener("transitionend", fn, false);
+            }
+            node.addEventListener("transitionend", fn, false);
+            if (callback) callback.call(this, target);
         },
     };
 
+    Slip.defaults = defaults;
+
     return Slip;
 })();
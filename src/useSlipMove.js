@@ -0,0 +1,227 @@
+import { useEffect, useImperativeHandle, useRef, useState } from 'react';
+import Slip from './slip';
+import styles from './slip.css';
+
+// added to the page when the first list is attached rather than on import, as there's no page on the server
+let stylesAdded = false;
+const addStyles = () => {
+  if (stylesAdded) return;
+  stylesAdded = true;
+  const style = document.createElement('style');
+  style.textContent = styles.toString();
+  document.head.appendChild(style);
+};
+
+const notDragging = { isDragging: false, draggingIndex: null, overIndex: null, isDraggedOut: false };
+
+/*
+    Whether moving the items at `fromIndices` to `toIndex` (as a block, toIndex counting the other items) leaves
+    every item canDrag refuses where it was. Only the items from the first to the last one involved can move.
+*/
+const keepsLockedItems = (canDrag, fromIndices, toIndex) => {
+  const first = Math.min(fromIndices[0], toIndex);
+  const last = Math.max(fromIndices[fromIndices.length - 1], toIndex + fromIndices.length - 1);
+  const order = [];
+  for (let index = first; index <= last; index++) {
+      if (fromIndices.indexOf(index) < 0) order.push(index);
+  }
+  order.splice(toIndex - first, 0, ...fromIndices);
+  return order.every((index, i) => index === first + i || canDrag(index));
+};
+
+const getCanDrop = ({ canDrag, canDrop }) => {
+  if (!canDrag && !canDrop) return undefined;
+  return (fromIndex, toIndex, fromIndices) =>
+      (!canDrag || keepsLockedItems(canDrag, fromIndices || [fromIndex], toIndex)) &&
+      (!canDrop || canDrop(fromIndex, toIndex));
+};
+
+// path of the last of these items in the tree they make up: its index among its siblings at every level from the top
+const getPath = depths => {
+  const path = [];
+  depths.forEach(depth => {
+      // deeper levels belong to the previous sibling
+      path.length = depth + 1;
+      path[depth] = path[depth] === undefined ? 0 : path[depth] + 1;
+  });
+  return path;
+};
+
+// a move in a tree, where the item is moved with its descendants (oldIndices) and dropped at `depth`
+const getTreeMove = (itemDepth, { oldIndex, oldIndices, newIndex }, depth) => {
+  const before = [];
+  for (let index = 0; index <= oldIndex; index++) before.push(itemDepth(index));
+  const after = [];
+  for (let index = 0; after.length < newIndex; index++) {
+      if (oldIndices.indexOf(index) < 0) after.push(itemDepth(index));
+  }
+  after.push(depth);
+  return { oldPath: getPath(before), newPath: getPath(after), depth, oldIndex, oldIndices, newIndex };
+};
+
+const getSlipOptions = options => ({
+    ...options.gestureOptions,
+    raised: options.elevateItem === undefined ? true : options.elevateItem,
+    axis: options.axis,
+    group: options.group,
+    listId: options.listId,
+    handleSelector: options.handleSelector,
+    multiSelect: options.multiSelect,
+    collapseOnDrag: options.collapseOnDrag,
+    swipeThreshold: options.swipeThreshold,
+    minimumSwipeVelocity: options.swipeVelocity,
+    virtual: options.virtual,
+    ghost: options.ghost,
+    canDrop: getCanDrop(options),
+    dragOut: !!options.onDragOut,
+    removeZone: options.removeZone,
+    externalDrop: !!options.onExternalDrop,
+    tree: options.itemDepth ? { depth: options.itemDepth, indent: options.indentWidth || 24 } : undefined,
+    draggingClassName: 'slipmove-dragging'
+});
+
+/*
+    Makes the children of the element in `ref` reorderable. Takes the same options as the SlipMove props
+    for behavior and callbacks (axis, group, multiSelect, canDrag, itemDepth, onMove, onMoveEnd, onDragOut...), plus
+    `virtual`, `ghost` and `removeZone` passed on to the engine as they are (see slip.js). Callbacks get the
+    engine's DOM event as a second argument, e.g. to tell keyboard moves by event.detail.keyboard.
+
+    Returns the state of the drag: whether there is one, the index of the item being dragged (null for
+    something dragged in from elsewhere), the index it would be dropped at and whether it's dragged out.
+
+    With `apiRef` (SlipMove's ref) the list can also be worked from code: moveItem(from, to) moves an item the way
+    a drop would and returns whether it did (see Slip.move), cancelDrag() abandons a drag, and isDragging() and
+    getDragState() tell the state above as of the last render.
+*/
+export default function useSlipMove(ref, options = {}) {
+  const [dragState, setDragState] = useState(notDragging);
+
+  // listeners are added once and always call the latest callbacks
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const slipRef = useRef(null);
+  const handlersRef = useRef(null);
+  if (!handlersRef.current) {
+    const call = (name, ...args) => optionsRef.current[name] && optionsRef.current[name](...args);
+    const endDrag = () => setDragState(notDragging);
+    handlersRef.current = {
+        beforereorder: e => {
+            const { disableMove, canDrag } = optionsRef.current;
+            if (disableMove || (canDrag && !canDrag(e.detail.originalIndex))) {
+                e.preventDefault();
+                return;
+            }
+            const index = e.detail.originalIndex;
+            setDragState({ ...notDragging, isDragging: true, draggingIndex: index, overIndex: index });
+            call('onMoveStart', {index}, e);
+        },
+        move: e => {
+            // over another list of the group, or dragged out to be removed
+            const { originalIndex: index, x, y } = e.detail;
+            const overIndex = e.detail.transfer || e.detail.remove ? null : e.detail.spliceIndex;
+            const isDraggedOut = !!e.detail.remove;
+            setDragState(state => state.overIndex === overIndex && state.isDraggedOut === isDraggedOut ? state : { ...state, overIndex, isDraggedOut });
+            call('onMove', {index, overIndex, x, y}, e);
+        },
+        // there's no pointer to report when moving with the keyboard
+        keyboardmove: e => {
+            const { originalIndex: index, spliceIndex: overIndex } = e.detail;
+            setDragState(state => ({ ...state, overIndex }));
+            call('onMove', {index, overIndex, x: null, y: null}, e);
+        },
+        reorder: e => {
+            const { originalIndex: oldIndex, originalIndices: oldIndices, spliceIndex: newIndex, depth } = e.detail;
+            const { itemDepth } = optionsRef.current;
+            // several selected items are moved as a block, in a tree an item with its descendants
+            const move = itemDepth ? getTreeMove(itemDepth, {oldIndex, oldIndices: oldIndices || [oldIndex], newIndex}, depth) :
+                oldIndices ? {oldIndices, newIndex} : {oldIndex, newIndex};
+            if (call('onMoveEnd', move, e) === false) e.preventDefault();
+            endDrag();
+        },
+        transfer: e => {
+            const { fromList, toList, originalIndex: oldIndex, originalIndices: oldIndices, spliceIndex: newIndex } = e.detail;
+            call('onTransfer', oldIndices ? {fromList, toList, oldIndices, newIndex} : {fromList, toList, oldIndex, newIndex}, e);
+            endDrag();
+        },
+        beforeswipe: e => {
+            const { onSwipe, canSwipe } = optionsRef.current;
+            const { originalIndex: index, direction } = e.detail;
+            if (!onSwipe || (canSwipe && !canSwipe(index, direction))) e.preventDefault();
+        },
+        afterswipe: e => {
+            const { originalIndex: index, direction } = e.detail;
+            // the item is expected to be removed, unless onSwipe returns false
+            if (call('onSwipe', {index, direction}, e) === false) e.preventDefault();
+        },
+        remove: e => {
+            // the items are expected to be removed, unless onDragOut returns false
+            const { originalIndex: index, originalIndices: indices } = e.detail;
+            if (call('onDragOut', index, {indices: indices || [index]}, e) === false) e.preventDefault();
+            endDrag();
+        },
+        // something dragged in from elsewhere counts as a drag, with no item of the list dragged
+        externalmove: e => {
+            setDragState({ ...notDragging, isDragging: true, overIndex: e.detail.spliceIndex });
+        },
+        externalleave: endDrag,
+        externaldrop: e => {
+            const { dataTransfer: data, spliceIndex: index } = e.detail;
+            call('onExternalDrop', {data, index}, e);
+            endDrag();
+        },
+        // also the end of a long-press on a touch screen, which picked the item up to select it
+        select: e => {
+            call('onSelectionChange', e.detail.indices, e);
+            endDrag();
+        },
+        tap: e => {
+            call('onTap', {index: e.detail.originalIndex}, e);
+        },
+        // dropped back where it came from: Escape, the mouse away from the window for too long, the browser taking the pointer over...
+        cancel: e => {
+            call('onMoveCancel', {index: e.detail.originalIndex}, e);
+            endDrag();
+        }
+    };
+  }
+
+  const detach = () => {
+    const slip = slipRef.current;
+    if (!slip) return;
+    const handlers = handlersRef.current;
+    // a drag cancelled by detaching isn't reported to a component that's going away
+    Object.keys(handlers).forEach(name => slip.container.removeEventListener(`slip:${name}`, handlers[name]));
+    slip.detach();
+    slipRef.current = null;
+  };
+
+  // one Slip per element, attached once it's mounted, and told about option changes after every render
+  useEffect(() => {
+    const container = ref.current;
+    if (slipRef.current && slipRef.current.container !== container) detach();
+    if (slipRef.current) {
+        slipRef.current.setOptions(getSlipOptions(options));
+    } else if (container) {
+        addStyles();
+        const handlers = handlersRef.current;
+        slipRef.current = new Slip(container, getSlipOptions(options));
+        Object.keys(handlers).forEach(name => container.addEventListener(`slip:${name}`, handlers[name]));
+    }
+  });
+
+  useEffect(() => detach, []);
+
+  const dragStateRef = useRef(dragState);
+  dragStateRef.current = dragState;
+  useImperativeHandle(options.apiRef, () => ({
+      moveItem: (from, to) => !!slipRef.current && slipRef.current.move(from, to),
+      cancelDrag: () => {
+          if (slipRef.current) slipRef.current.cancel();
+      },
+      isDragging: () => dragStateRef.current.isDragging,
+      getDragState: () => dragStateRef.current
+  }), []);
+
+  return dragState;
+}
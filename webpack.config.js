@@ -8,6 +8,12 @@ module.exports = {
         filename: 'index.js',
         libraryTarget: 'commonjs2'
     },
+    // hooks only work with the app's own copy of React
+    externals: {
+        'react': 'react',
+        'react-dom': 'react-dom',
+        'prop-types': 'prop-types'
+    },
     module: {
         rules: [
             {
@@ -17,7 +23,8 @@ module.exports = {
             },
             {
               test:/\.css$/,
-              use:['style-loader','css-loader']
+              // the css is added to the page by useSlipMove, once there is one
+              use:['css-loader']
             }            
         ]
     }